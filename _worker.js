@@ -12,15 +12,111 @@
  *   AFFWP_REF_VAR       - Referral variable name, default "ref" (vars)
  *   AFFWP_COOKIE_DAYS   - Cookie expiration in days, default 400 (vars)
  *   AFFWP_CREDIT_LAST   - "true" to overwrite existing referral (vars)
+ *   AFFWP_VISIT_MODE    - "server" (default) or "deferred" (vars, see below)
+ *   AFFWP_VISIT_TOKEN_SECRET - HMAC key for deferred visit tokens (secret)
+ *   BOT_SCORE_THRESHOLD - Bot Management score treated as automated, default 29 (vars)
+ *   BOT_STATS           - Analytics Engine dataset for suppressed visits (binding, optional)
+ *   FB_PIXELS / FB_PIXEL_ID - Facebook pixel id(s) per funnel for CAPI (vars)
+ *   FB_CAPI_TOKEN       - Facebook Conversions API access token (secret)
+ *   GA4_MEASUREMENT_ID / GA4_API_SECRET - GA4 Measurement Protocol for the
+ *                         server-side Lead and /api/track (vars / secret)
+ *   TRACK_DESTINATIONS  - which destinations /api/track sends each event to (vars)
+ *   AFFILIATE_FALLBACK  - default-affiliate rules for visitors without one (vars)
+ *   CRO_REPORTS / CRO_REPORTS_BUCKET / CRO_REPORT_WEBHOOK_URL - weekly report
+ *                         storage and delivery (optional, see below)
+ *
+ * Bot filtering:
+ *   Crawlers, link unfurlers and uptime checkers never create an
+ *   AffiliateWP visit or receive any cookie (affwp_*, vl_vid, vl_attr —
+ *   the page scripts still get their values). Each skipped visit is
+ *   logged with its reason (see worker/bot-filter.js). Browser prefetches
+ *   and prerenders create no visit on the HTML fetch: the page gets the
+ *   deferred-visit beacon (below), which only fires once the page is shown,
+ *   or no visit at all without AFFWP_VISIT_TOKEN_SECRET.
+ *
+ * Non-blocking visits (default "server" mode):
+ *   The page is returned immediately and the AffiliateWP visit is created
+ *   in the background (ctx.waitUntil). Failed calls are retried from the
+ *   AFFWP_VISIT_QUEUE queue and the visit id is written back to the
+ *   affwp_visit_id cookie by a follow-up beacon (see worker/visit-queue.js).
+ *   This needs the AFFWP_VISITS KV binding; without it the page waits for
+ *   the visit and sets affwp_visit_id directly, as before.
+ *
+ * Visitor id:
+ *   Every HTML page gets a stable first-party visitor id (vl_vid, server-set
+ *   HttpOnly cookie) exposed to page scripts as window.VL_VISITOR_ID. The
+ *   shared A/B router hashes it for sticky assignments (worker/visitor-id.js).
+ *
+ * Deferred visits (AFFWP_VISIT_MODE=deferred):
+ *   The HTML fetch only stamps a signed pending-visit token into the page.
+ *   The page's JS beacons it to POST /api/visit, which creates the
+ *   AffiliateWP visit and sets the affiliate cookies. Bots follow HTTP but
+ *   not JavaScript, so visit counts reflect real browsers — the same reason
+ *   A/B routing is client-side. Each token creates at most one visit, and
+ *   the beacon goes through the same bot filter as the page. Falls back to
+ *   server mode if the token secret is missing.
+ *
+ * Consent:
+ *   shared/consent.js shows a cookie banner and gates Clarity, the Meta
+ *   Pixel and Google Consent Mode. The worker tells it whether opt-in is
+ *   required for the visitor's country (window.VL_CONSENT_REQUIRED) and
+ *   reads the same vl_consent cookie before sending any server-side event
+ *   (see worker/consent.js).
+ *
+ * Attribution:
+ *   First- and last-touch UTM parameters, click ids, landing path and
+ *   referrer, plus the affiliate id, campaign and A/B arm, are kept in one
+ *   first-party cookie (vl_attr) and exposed as window.VL_ATTRIBUTION.
+ *   The signup modal and the buy buttons both read it through
+ *   shared/attribution.js (see worker/attribution.js). Visitors without
+ *   an affiliate id get one from the AFFILIATE_FALLBACK rules (referrer,
+ *   click ids, utm_source, funnel), resolved here rather than hard-coded
+ *   in page scripts (see worker/affiliate-fallback.js).
+ *
+ * Geo pricing:
+ *   Paid landing pages are served with their prices, currency and
+ *   colour/color spelling already filled in for the visitor's country
+ *   (request.cf.country, ?country=XX to preview another region). Prices
+ *   live in the product catalogue, shared/products.json (see
+ *   worker/geo-pricing.js), which also sets the checkout URL.
+ *
+ * Weekly CRO report (cron trigger):
+ *   scheduled() builds the same report as scripts/pull-affwp-data.js from
+ *   the AffiliateWP API, stores it in KV/R2 and posts a summary to a
+ *   webhook. A daily cron runs the anomaly monitor and posts its alerts to
+ *   the same webhook (see worker/scheduled-report.js).
  *
  * A/B Testing:
- *   Configure tests in the AB_TESTS object below. Each test maps a
- *   URL path to a set of weighted variants. The worker assigns visitors
- *   via cookie and serves the correct variant using env.ASSETS.fetch().
- *   Variant names are automatically tagged in Microsoft Clarity via
- *   HTMLRewriter so you can filter heatmaps/recordings by variant.
+ *   Visitors are assigned client-side by shared/ab-router.js from
+ *   shared/experiments.json (AB_TESTS below must stay empty). When an arm
+ *   page is served, the worker injects window.VL_EXPERIMENT and tags the
+ *   arm in Microsoft Clarity, GA4 user properties and every Pixel / CAPI
+ *   event, so heatmaps, recordings and conversions can be filtered by
+ *   variant (see worker/experiments.js).
  */
 
+import { classifyRequest, isSpeculativeLoad, recordSuppressedVisit } from './worker/bot-filter.js';
+import { signVisitToken, verifyVisitToken, claimVisitToken, visitBeaconScript } from './worker/visit-token.js';
+import {
+  PENDING_COOKIE,
+  canTrackPendingVisits,
+  recordVisit,
+  handleVisitQueue,
+  resolvePendingVisit,
+  pendingVisitCookie,
+  pendingVisitScript,
+} from './worker/visit-queue.js';
+import { resolveVisitorId, visitorIdCookie, visitorIdScript } from './worker/visitor-id.js';
+import { MONITOR_CRON, runScheduledReport, runScheduledMonitor } from './worker/scheduled-report.js';
+import { handleFbEvent, fbEventPreflight } from './worker/fb-capi.js';
+import { leadDestinations, sendServerLead } from './worker/lead-events.js';
+import { handleTrack, trackPreflight } from './worker/track.js';
+import { consentScript, resolveConsent } from './worker/consent.js';
+import { geoPricing } from './worker/geo-pricing.js';
+import { resolveExperiment, experimentScript, routerManifestScript } from './worker/experiments.js';
+import { resolveAttribution, storedAttribution, attributionCookie, attributionScript } from './worker/attribution.js';
+import { fallbackRules, fallbackAffiliate } from './worker/affiliate-fallback.js';
+
 // ─────────────────────────────────────────────────────────────
 // A/B TEST CONFIGURATION
 //
@@ -41,8 +137,8 @@
 //   },
 // ─────────────────────────────────────────────────────────────
 const AB_TESTS = {
-  // A/B routing is handled client-side via JavaScript in each funnel's index.html
-  // (same pattern as free-course and landscape-course).
+  // A/B routing is handled client-side by /shared/ab-router.js, loaded from each
+  // funnel's index.html and configured in /shared/experiments.json.
   // Do NOT add server-side A/B routing here — it inflates LP visit counts with bot
   // traffic because bots follow HTTP 302 redirects but not JavaScript redirects.
 };
@@ -64,12 +160,41 @@ export default {
     // Sidesteps CORS entirely — the browser sees a same-origin request,
     // the WP endpoint sees a server-to-server POST from Cloudflare.
     if (url.pathname === '/api/register' && request.method === 'POST') {
-      return await proxyRegister(request, env);
+      return await proxyRegister(request, env, ctx, cookies);
     }
     if (url.pathname === '/api/register' && request.method === 'OPTIONS') {
       return new Response(null, { status: 204 });
     }
 
+    // ── /api/fb-event (Facebook Conversions API relay) ──────
+    // Pixel ids and token come from env — see worker/fb-capi.js.
+    if (url.pathname === '/api/fb-event' && request.method === 'POST') {
+      return await handleFbEvent(request, env);
+    }
+    if (url.pathname === '/api/fb-event' && request.method === 'OPTIONS') {
+      return fbEventPreflight(request);
+    }
+
+    // ── /api/track (Meta CAPI + GA4 fan-out) ─────────────────
+    // One event envelope, sent to each destination enabled in
+    // TRACK_DESTINATIONS — see worker/track.js.
+    if (url.pathname === '/api/track' && request.method === 'POST') {
+      return await handleTrack(request, env, cookies);
+    }
+    if (url.pathname === '/api/track' && request.method === 'OPTIONS') {
+      return trackPreflight(request);
+    }
+
+    // ── /api/visit (deferred visit beacon) ──────────────────
+    if (url.pathname === '/api/visit' && request.method === 'POST') {
+      return await handleVisitBeacon(request, env);
+    }
+
+    // ── /api/visit-id (pending visit write-back) ────────────
+    if (url.pathname === '/api/visit-id' && request.method === 'GET') {
+      return await handleVisitIdLookup(env, cookies);
+    }
+
     // ── A/B Test Routing ────────────────────────────────────
     const abResult = resolveABTest(url, cookies);
 
@@ -96,7 +221,7 @@ export default {
     }
 
     // No A/B test — fetch the page normally
-    let response = await env.ASSETS.fetch(request);
+    const response = await env.ASSETS.fetch(request);
 
     // ── Determine if this is an HTML page ────────────────────
     const contentType = response.headers.get('content-type') || '';
@@ -105,60 +230,75 @@ export default {
     const isHtmlPath = pathname.endsWith('/') || pathname.endsWith('.html') || pathname === '';
     const isHtml = isHtmlContent || isHtmlPath;
 
-    // ── Affiliate Tracking ──────────────────────────────────
-    const refVar = env.AFFWP_REF_VAR || 'ref';
-    const affiliateId = url.searchParams.get(refVar);
-    const campaign = url.searchParams.get('campaign') || '';
-    const cookieDays = parseInt(env.AFFWP_COOKIE_DAYS || '400', 10);
-    const creditLast = (env.AFFWP_CREDIT_LAST || 'true') === 'true';
-
-    // Decide if we need to do any post-processing (affiliate cookies, variant tagging)
-    const needsAffiliate = affiliateId && isHtml;
-
-    // If nothing to do, return the response as-is
-    if (!needsAffiliate) {
+    // Non-HTML assets (CSS, JS, images, JSON) pass straight through
+    if (!isHtml) {
       return response;
     }
 
-    // We need a mutable response for cookies / HTMLRewriter
-    let newResponse = new Response(response.body, response);
+    // Everything below collects head snippets, element text and cookies for one final rewrite
+    const page = { headPrepend: [], headAppend: [], text: [], cookies: [], noStore: false };
 
-    // ── Affiliate tracking: create visit + set cookies ──────
-    if (needsAffiliate) {
-      const existingAffiliate = cookies['affwp_affiliate_id'];
-      const existingVisit = cookies['affwp_visit_id'];
+    // Non-humans get the page but no cookies
+    const botCheck = classifyRequest(request, env);
 
-      // Credit-last-referrer logic
-      const shouldTrack = creditLast || !existingAffiliate || !existingVisit;
+    // ── Visitor id (sticky A/B bucketing) ───────────────────
+    const visitor = resolveVisitorId(cookies);
+    page.headPrepend.push(visitorIdScript(visitor.id));
+    if (visitor.isNew && !botCheck.isBot) {
+      page.cookies.push(visitorIdCookie(visitor.id));
+    }
 
-      if (shouldTrack) {
-        const visitId = await createAffiliateVisit(request, url, env, affiliateId, campaign);
+    // ── Consent (banner only where opt-in is required) ───────
+    page.headPrepend.push(consentScript(request));
 
-        const maxAge = cookieDays * 86400;
-        const cookieOpts = `Path=/; Max-Age=${maxAge}; SameSite=Lax`;
+    // ── Experiment arm (Clarity / GA / Pixel tagging) ────────
+    const experiment = resolveExperiment(url.pathname, cookies);
+    if (experiment) {
+      page.headPrepend.push(experimentScript(experiment));
+    }
 
-        newResponse.headers.append(
-          'Set-Cookie',
-          `affwp_affiliate_id=${affiliateId}; ${cookieOpts}`
-        );
+    // ── Router page: inline the manifest so ab-router.js needn't fetch it ──
+    const routerScript = routerManifestScript(url.pathname);
+    if (routerScript) {
+      page.headPrepend.push(routerScript);
+    }
 
-        if (campaign) {
-          newResponse.headers.append(
-            'Set-Cookie',
-            `affwp_campaign=${encodeURIComponent(campaign)}; ${cookieOpts}`
-          );
-        }
-
-        if (visitId) {
-          newResponse.headers.append(
-            'Set-Cookie',
-            `affwp_visit_id=${visitId}; ${cookieOpts}`
-          );
-        }
-      }
+    // ── Attribution (modal payload + buy-URL passthrough) ────
+    const attribution = resolveAttribution(request, url, cookies, {
+      refVar: env.AFFWP_REF_VAR || 'ref',
+      experiment,
+      consent: resolveConsent(request),
+      fallbackRules: fallbackRules(env),
+    });
+    page.headPrepend.push(attributionScript(attribution.attribution));
+    if (attribution.changed && !botCheck.isBot) {
+      page.cookies.push(attributionCookie(attribution.attribution));
     }
 
-    return newResponse;
+    // ── Geo pricing (paid funnels, shared/products.json) ───────
+    const pricing = geoPricing(request, url);
+    if (pricing) {
+      page.headPrepend.push(pricing.script);
+      page.text.push(...pricing.text);
+      // A ?country= QA preview must not be cached as the real page
+      if (pricing.override) page.noStore = true;
+    }
+
+    // ── Affiliate Tracking ──────────────────────────────────
+    await trackAffiliateVisit(request, url, env, ctx, cookies, page, botCheck);
+
+    return finalizePage(response, page);
+  },
+
+  // Retries AffiliateWP visits that failed on the request path
+  async queue(batch, env) {
+    await handleVisitQueue(batch, env);
+  },
+
+  // Weekly CRO report and daily anomaly monitor (cron triggers in wrangler.jsonc)
+  async scheduled(event, env, ctx) {
+    const job = event.cron === MONITOR_CRON ? runScheduledMonitor : runScheduledReport;
+    ctx.waitUntil(job(env, event.scheduledTime));
   },
 };
 
@@ -219,13 +359,17 @@ function resolveABTest(url, cookies) {
  * Proxy POST /api/register to the WordPress MU-plugin endpoint.
  * Executes server-to-server so no CORS preflight is involved and no
  * Access-Control-Allow-Origin header is required on the response.
+ *
+ * A new signup also sends the Lead conversion server-side (Meta CAPI and
+ * GA4) in the background, and the response says which destinations were
+ * handled so the page does not send them again (see worker/lead-events.js).
  */
-async function proxyRegister(request, env) {
+async function proxyRegister(request, env, ctx, cookies) {
   const parentUrl = (env.AFFWP_PARENT_URL || 'https://learn.urbansketch.com').replace(/\/$/, '');
   const target = `${parentUrl}/wp-json/vl/v1/register`;
 
   try {
-    const bodyText = await request.text();
+    const bodyText = withFallbackAffiliate(await request.text(), env, cookies);
     const upstream = await fetch(target, {
       method: 'POST',
       headers: {
@@ -236,7 +380,14 @@ async function proxyRegister(request, env) {
       body: bodyText,
     });
 
-    const responseBody = await upstream.text();
+    let responseBody = await upstream.text();
+    const result = parseJsonObject(responseBody);
+    if (upstream.ok && result && result.ok === true && !result.existing) {
+      const tracked = leadDestinations(request, env);
+      ctx.waitUntil(sendServerLead(request, env, cookies, parseJsonObject(bodyText) || {}, result, tracked));
+      responseBody = JSON.stringify({ ...result, tracked });
+    }
+
     return new Response(responseBody, {
       status: upstream.status,
       headers: {
@@ -257,69 +408,209 @@ async function proxyRegister(request, env) {
 }
 
 // ─────────────────────────────────────────────────────────────
-// AFFILIATE TRACKING HELPERS
+// DEFERRED VISIT BEACON
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Create a visit via AffiliateWP REST API. Returns visit_id or null.
+ * Handle POST /api/visit from a page rendered in deferred mode.
+ * Verifies the pending-visit token, creates the AffiliateWP visit using the
+ * beaconing browser's IP, and sets the same cookies server mode would.
+ * A replayed token is refused, and bots get no visit and no cookies.
  */
-async function createAffiliateVisit(request, url, env, affiliateId, campaign) {
-  const parentUrl = (env.AFFWP_PARENT_URL || '').replace(/\/$/, '');
-  const publicKey = env.AFFWP_PUBLIC_KEY || '';
-  const token = env.AFFWP_TOKEN || '';
+async function handleVisitBeacon(request, env) {
+  const jsonHeaders = {
+    'Content-Type': 'application/json; charset=UTF-8',
+    'Cache-Control': 'no-store',
+  };
 
-  if (!parentUrl || !publicKey || !token) {
-    console.error('[AffWP] Missing environment variables - cannot track visit');
-    return null;
+  let token = '';
+  try {
+    const body = await request.json();
+    token = body && body.token;
+  } catch {
+    // fall through to the invalid-token response
   }
 
-  const visitorIp = request.headers.get('cf-connecting-ip')
-    || request.headers.get('x-forwarded-for')?.split(',')[0]?.trim()
-    || '0.0.0.0';
+  const pending = await verifyVisitToken(env.AFFWP_VISIT_TOKEN_SECRET, token);
+  if (!pending) {
+    return new Response(JSON.stringify({ ok: false, code: 'invalid_token' }), { status: 400, headers: jsonHeaders });
+  }
 
-  const landingUrl = url.origin + url.pathname;
-  const referrer = request.headers.get('referer') || '';
+  const botCheck = classifyRequest(request, env);
+  if (botCheck.isBot) {
+    recordSuppressedVisit(env, new URL(pending.landingUrl), pending.affiliateId, botCheck.reason);
+    return new Response(JSON.stringify({ ok: true, visit_id: null, skipped: 'bot' }), { status: 200, headers: jsonHeaders });
+  }
 
-  try {
-    const apiParams = new URLSearchParams({
-      affiliate_id: affiliateId,
-      ip: visitorIp,
-      url: landingUrl,
-      campaign: campaign,
-      referrer: referrer,
-    });
+  if (!(await claimVisitToken(env, pending))) {
+    return new Response(JSON.stringify({ ok: false, code: 'token_used' }), { status: 409, headers: jsonHeaders });
+  }
 
-    const apiUrl = `${parentUrl}/wp-json/affwp/v1/visits?${apiParams.toString()}`;
-    const authHeader = 'Basic ' + btoa(`${publicKey}:${token}`);
+  const cookieDays = parseInt(env.AFFWP_COOKIE_DAYS || '400', 10);
+  const pendingId = canTrackPendingVisits(env) ? crypto.randomUUID() : null;
+  const { affiliateId, campaign, landingUrl, referrer } = pending;
+  const visitId = await recordVisit(env, { affiliateId, campaign, landingUrl, referrer, ip: clientIp(request) }, pendingId);
 
-    const apiResponse = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: '',
-    });
+  const headers = new Headers(jsonHeaders);
+  for (const cookie of affiliateCookies(pending.affiliateId, pending.campaign, visitId, cookieDays)) {
+    headers.append('Set-Cookie', cookie);
+  }
+  if (!visitId && pendingId) {
+    // Queued for retry — the next page view picks the id up
+    headers.append('Set-Cookie', pendingVisitCookie(pendingId));
+  }
+
+  return new Response(JSON.stringify({ ok: true, visit_id: visitId }), { status: 200, headers });
+}
+
+/**
+ * Handle GET /api/visit-id: swap the affwp_pending_visit cookie for the
+ * real affwp_visit_id cookie once the background/queued visit has an id.
+ */
+async function handleVisitIdLookup(env, cookies) {
+  const headers = new Headers({
+    'Content-Type': 'application/json; charset=UTF-8',
+    'Cache-Control': 'no-store',
+  });
 
-    const responseText = await apiResponse.text();
+  const pendingId = cookies[PENDING_COOKIE];
+  if (!pendingId) {
+    return new Response(JSON.stringify({ ok: false, code: 'no_pending_visit' }), { status: 404, headers });
+  }
 
-    if (apiResponse.ok) {
-      try {
-        const data = JSON.parse(responseText);
-        return data.visit_id || data.id || null;
-      } catch (parseErr) {
-        console.error('[AffWP] Failed to parse API response:', parseErr.message);
-      }
-    } else {
-      console.error('[AffWP] API error:', apiResponse.status, responseText.substring(0, 300));
+  const visitId = await resolvePendingVisit(env, pendingId);
+  if (!visitId) {
+    return new Response(JSON.stringify({ ok: false, pending: true }), { status: 202, headers });
+  }
+
+  const cookieDays = parseInt(env.AFFWP_COOKIE_DAYS || '400', 10);
+  headers.append('Set-Cookie', `affwp_visit_id=${visitId}; Path=/; Max-Age=${cookieDays * 86400}; SameSite=Lax`);
+  headers.append('Set-Cookie', pendingVisitCookie(null));
+
+  return new Response(JSON.stringify({ ok: true, visit_id: visitId }), { status: 200, headers });
+}
+
+// ─────────────────────────────────────────────────────────────
+// AFFILIATE TRACKING HELPERS
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Affiliate tracking for an HTML page request. Adds cookies and head
+ * snippets to `page` rather than touching the response directly.
+ * `botCheck` is classifyRequest()'s verdict for the request.
+ */
+async function trackAffiliateVisit(request, url, env, ctx, cookies, page, botCheck) {
+  const refVar = env.AFFWP_REF_VAR || 'ref';
+  const affiliateId = url.searchParams.get(refVar);
+  const campaign = url.searchParams.get('campaign') || '';
+  const cookieDays = parseInt(env.AFFWP_COOKIE_DAYS || '400', 10);
+  const creditLast = (env.AFFWP_CREDIT_LAST || 'true') === 'true';
+
+  if (!affiliateId) {
+    // A visit from an earlier page view is still being retried — keep
+    // polling for its id from this page too
+    if (cookies[PENDING_COOKIE] && canTrackPendingVisits(env)) {
+      page.headAppend.push(pendingVisitScript());
     }
-  } catch (err) {
-    console.error('[AffWP] API request failed:', err.message);
+    return;
+  }
+
+  // Non-humans never create a visit record or receive affiliate cookies
+  if (botCheck.isBot) {
+    recordSuppressedVisit(env, url, affiliateId, botCheck.reason);
+    return;
   }
 
-  return null;
+  const existingAffiliate = cookies['affwp_affiliate_id'];
+  const existingVisit = cookies['affwp_visit_id'];
+
+  // Credit-last-referrer logic
+  const shouldTrack = creditLast || !existingAffiliate || !existingVisit;
+  if (!shouldTrack) {
+    return;
+  }
+
+  const visit = visitDetailsFromRequest(request, url, affiliateId, campaign);
+
+  // ── Deferred mode: stamp a pending-visit token, let the page's JS confirm it ──
+  // Prefetches and prerenders always go this way: the visitor may never open them.
+  const speculative = isSpeculativeLoad(request);
+  if (env.AFFWP_VISIT_MODE === 'deferred' || speculative) {
+    const token = await signVisitToken(env.AFFWP_VISIT_TOKEN_SECRET, visit);
+    if (token) {
+      page.headAppend.push(visitBeaconScript(token));
+      // Tokens are per-visitor — never let a cache hand one to someone else
+      page.noStore = true;
+      return;
+    }
+    if (speculative) {
+      recordSuppressedVisit(env, url, affiliateId, 'prefetch');
+      return;
+    }
+    console.error('[AffWP] AFFWP_VISIT_MODE=deferred but AFFWP_VISIT_TOKEN_SECRET is not set - falling back to server-side visit');
+  }
+
+  // ── Server mode without the KV write-back: wait for the visit ──
+  // There's no other way to get the visit id to the browser, and the
+  // signup modal and order links need it to join referrals to visits.
+  if (!canTrackPendingVisits(env)) {
+    const visitId = await recordVisit(env, visit, null);
+    page.cookies.push(...affiliateCookies(affiliateId, campaign, visitId, cookieDays));
+    return;
+  }
+
+  // ── Server mode: set cookies now, create the visit in the background ──
+  // The page never waits on learn.urbansketch.com. The visit id arrives
+  // later via the pending cookie + /api/visit-id beacon.
+  page.cookies.push(...affiliateCookies(affiliateId, campaign, null, cookieDays));
+
+  const pendingId = crypto.randomUUID();
+  ctx.waitUntil(recordVisit(env, visit, pendingId));
+  page.headAppend.push(pendingVisitScript());
+  page.cookies.push(pendingVisitCookie(pendingId));
+  page.noStore = true;
+}
+
+/**
+ * Collect the details AffiliateWP needs for a visit from the landing page request.
+ */
+function visitDetailsFromRequest(request, url, affiliateId, campaign) {
+  return {
+    affiliateId,
+    campaign,
+    ip: clientIp(request),
+    landingUrl: url.origin + url.pathname,
+    referrer: request.headers.get('referer') || '',
+  };
 }
 
+/**
+ * Best-effort visitor IP from Cloudflare / proxy headers.
+ */
+function clientIp(request) {
+  return request.headers.get('cf-connecting-ip')
+    || request.headers.get('x-forwarded-for')?.split(',')[0]?.trim()
+    || '0.0.0.0';
+}
+
+/**
+ * Build the affwp_* tracking cookies as Set-Cookie values.
+ */
+function affiliateCookies(affiliateId, campaign, visitId, cookieDays) {
+  const maxAge = cookieDays * 86400;
+  const cookieOpts = `Path=/; Max-Age=${maxAge}; SameSite=Lax`;
+  const setCookies = [`affwp_affiliate_id=${encodeURIComponent(affiliateId)}; ${cookieOpts}`];
+
+  if (campaign) {
+    setCookies.push(`affwp_campaign=${encodeURIComponent(campaign)}; ${cookieOpts}`);
+  }
+
+  if (visitId) {
+    setCookies.push(`affwp_visit_id=${visitId}; ${cookieOpts}`);
+  }
+
+  return setCookies;
+}
 
 // ─────────────────────────────────────────────────────────────
 // UTILITIES
@@ -339,3 +630,71 @@ function parseCookies(cookieStr) {
   });
   return cookies;
 }
+
+/**
+ * Register payloads that arrive without an affiliate id (page scripts
+ * blocked or stale) get the AFFILIATE_FALLBACK rule for the visitor's
+ * stored last touch and the payload's funnel_tag. Anything else is
+ * forwarded unchanged.
+ */
+function withFallbackAffiliate(bodyText, env, cookies) {
+  const payload = parseJsonObject(bodyText);
+  if (!payload || payload.affiliate_id) return bodyText;
+  const fallback = fallbackAffiliate(fallbackRules(env), storedAttribution(cookies).last, String(payload.funnel_tag || ''));
+  if (!fallback || !fallback.affiliate_id) return bodyText;
+  return JSON.stringify({ ...payload, affiliate_id: fallback.affiliate_id, affiliate_rule: fallback.rule });
+}
+
+/**
+ * Parse JSON text that should hold an object; null if it doesn't
+ */
+function parseJsonObject(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Apply the collected head snippets, element text and cookies to an HTML
+ * page response. Returns the original response untouched when there is
+ * nothing to add.
+ */
+function finalizePage(response, page) {
+  const hasHead = page.headPrepend.length > 0 || page.headAppend.length > 0;
+  const hasText = page.text.length > 0;
+  if (!hasHead && !hasText && page.cookies.length === 0) {
+    return response;
+  }
+
+  let source = response;
+  if (hasHead || hasText) {
+    const rewriter = new HTMLRewriter()
+      .on('head', {
+        element(el) {
+          if (page.headPrepend.length) el.prepend(page.headPrepend.join(''), { html: true });
+          if (page.headAppend.length) el.append(page.headAppend.join(''), { html: true });
+        },
+      });
+    for (const [selector, value] of page.text) {
+      rewriter.on(selector, {
+        element(el) {
+          el.setInnerContent(value);
+        },
+      });
+    }
+    source = rewriter.transform(response);
+  }
+
+  // We need a mutable response for cookies / headers
+  const newResponse = new Response(source.body, source);
+  for (const cookie of page.cookies) {
+    newResponse.headers.append('Set-Cookie', cookie);
+  }
+  if (page.noStore) {
+    newResponse.headers.set('Cache-Control', 'private, no-store');
+  }
+  return newResponse;
+}
@@ -9,8 +9,10 @@
        LOGIN_URL_BASE    : 'https://learn.../wp-login.php',
        POST_SIGNUP_PATH  : '/...oto-1.../',      // WP path to redirect user to after auto-login
        FUNNEL_TAG        : 'free-course',        // Passed to WP + tracking events
-       VARIANT           : 'a'                   // A/B variant label, surfaced in Lead events
+       VARIANT           : 'smm-embedded'        // Optional label for pages outside an A/B test
      };
+   On an A/B arm page the variant label comes from window.VL_EXPERIMENT
+   (injected by the worker from /shared/experiments.json) instead.
 
    Also depends on:
    - A modal markup block with id="signup-modal" matching the
@@ -22,8 +24,12 @@
      modal so Turnstile can render with real layout at page load.
    - Cloudflare Turnstile api.js loaded in <head>:
      <script src="https://challenges.cloudflare.com/turnstile/v0/api.js?onload=onloadTurnstileCallback&render=explicit" async defer></script>
-   - fbq, sendCAPI, gtag — optional; fired on successful signup
-     only (never on button click) if present.
+   - VLAttribution (/shared/attribution.js) — optional; supplies
+     the attribution fields of the register payload.
+   - vlTrack (/shared/fb-events.js — Pixel + CAPI with a shared
+     event_id), gtag — optional; fired on successful signup only
+     (never on button click) if present, skipping whatever the
+     register response's `tracked` says the worker already sent.
    - Every CTA that should open the modal has [data-open-modal].
    ============================================================= */
 
@@ -31,6 +37,7 @@
   'use strict';
 
   var VL = window.VL_CONFIG || {};
+  var VARIANT = (window.VL_EXPERIMENT && window.VL_EXPERIMENT.variant) || VL.VARIANT || '';
 
   /* ===== TURNSTILE =====
      Single invisible widget lives outside the modal so it has
@@ -202,15 +209,23 @@
   }
 
   function submitSignup(form, email, firstName, turnstileToken) {
-    // Pull affiliate info from URL (?a= / ?ref=) or cookie. Cookies don't cross
-    // domains, so we must POST the affiliate_id for the WP endpoint to credit AffiliateWP.
-    // Final fallback: every visitor on go.urbansketchcourse.com came via paid, so default
-    // to FBAds (36) if the param and cookie both missed (some Meta placements strip query
-    // params; Safari ITP can drop cookies). The MU-plugin ALSO has a server-side fallback,
-    // but sending it here means we don't rely on a single layer.
-    var urlParams   = new URLSearchParams(window.location.search);
-    var affiliateId = urlParams.get('a') || urlParams.get('ref') || readCookie('affwp_affiliate_id') || '36';
-    var campaign    = urlParams.get('campaign') || readCookie('affwp_campaign') || '';
+    // Attribution (affiliate, campaign, A/B arm, visit, first/last-touch UTMs
+    // and click ids) comes from /shared/attribution.js — the same data handleBuy
+    // passes to the order form. Cookies don't cross domains, so we must POST the
+    // affiliate_id for the WP endpoint to credit AffiliateWP.
+    // If the param and cookie both missed (some Meta placements strip query params;
+    // Safari ITP can drop cookies), affiliate_id is the default the worker picked from
+    // its AFFILIATE_FALLBACK rules; the /api/register proxy applies the same rules to
+    // payloads that still arrive without one.
+    var attribution = window.VLAttribution ? window.VLAttribution.fields() : {
+      affiliate_id : readCookie('affwp_affiliate_id'),
+      campaign     : readCookie('affwp_campaign') || '',
+      visit_id     : readCookie('affwp_visit_id')
+    };
+    attribution.variant      = attribution.variant || VARIANT;
+    // The worker sends the Lead server-side with this id; the Pixel Lead
+    // below reuses it so Meta deduplicates the pair.
+    var eventId     = typeof window.vlTrack === 'function' ? window.vlTrack.newEventId() : '';
 
     var payload = {
       email        : email,
@@ -218,9 +233,9 @@
       turnstile    : turnstileToken,
       redirect_to  : VL.POST_SIGNUP_PATH,
       funnel_tag   : VL.FUNNEL_TAG,
-      affiliate_id : affiliateId,
-      campaign     : campaign
+      event_id     : eventId
     };
+    Object.keys(attribution).forEach(function (key) { payload[key] = attribution[key]; });
 
     fetch(VL.REGISTER_ENDPOINT, {
       method  : 'POST',
@@ -253,15 +268,18 @@
         return;
       }
 
-      // Real signup — fire Lead events (never on button click).
-      if (typeof window.fbq === 'function') {
-        window.fbq('track', 'Lead', { content_name: VL.FUNNEL_TAG, variant: VL.VARIANT });
-      }
-      if (typeof window.sendCAPI === 'function') {
-        window.sendCAPI('Lead');
+      // Real signup — fire Lead events (never on button click). `tracked`
+      // lists what /api/register already sent server-side.
+      var tracked = r.body.tracked || {};
+      if (typeof window.vlTrack === 'function') {
+        window.vlTrack('Lead', { content_name: VL.FUNNEL_TAG, variant: VARIANT }, {
+          eventId   : eventId,
+          pixelOnly : tracked.meta,
+          userData  : { email: email, first_name: firstName, external_id: r.body.user_id }
+        });
       }
-      if (typeof window.gtag === 'function') {
-        window.gtag('event', 'generate_lead', { content_name: VL.FUNNEL_TAG, variant: VL.VARIANT });
+      if (!tracked.ga4 && typeof window.gtag === 'function') {
+        window.gtag('event', 'generate_lead', { content_name: VL.FUNNEL_TAG, variant: VARIANT });
       }
 
       window.location.href = r.body.login_url;
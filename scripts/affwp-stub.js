@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Local AffiliateWP REST API stub
+ *
+ * Serves GET /wp-json/affwp/v1/visits and /referrals (number, offset,
+ * order=DESC by date — all the report clients use) so the scheduled CRO
+ * report and the CLI can be exercised without touching the live site.
+ * POST /visits answers with a fresh visit_id, so the landing-page worker
+ * can point at it too. Credentials are accepted but not checked.
+ *
+ * Data:
+ *   default               the local snapshot (scripts/.cache/affwp, see
+ *                         scripts/lib/snapshot.js)
+ *   --cache-dir <dir>     a different snapshot directory
+ *   --synthetic [--days N] generated traffic for every funnel in
+ *                         scripts/funnels.json over the last N days (default 14)
+ *
+ * Usage:
+ *   node scripts/affwp-stub.js
+ *   node scripts/affwp-stub.js --synthetic --port 8788
+ *   # then, for the scheduled report:
+ *   npx wrangler dev --test-scheduled --var AFFWP_PARENT_URL:http://localhost:8788
+ *   curl "http://localhost:8787/__scheduled?cron=0+7+*+*+1"
+ */
+
+import { createServer } from 'http';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadRecords } from './lib/snapshot.js';
+import { loadFunnels } from './lib/files.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+function getArg(name, defaultVal) {
+  const idx = args.indexOf(`--${name}`);
+  if (idx !== -1 && args[idx + 1]) return args[idx + 1];
+  return defaultVal;
+}
+
+const port = parseInt(getArg('port', '8788'), 10);
+const cacheDir = resolve(process.cwd(), getArg('cache-dir', resolve(__dirname, '.cache/affwp')));
+const synthetic = args.includes('--synthetic');
+const days = parseInt(getArg('days', '14'), 10);
+
+const API_PREFIX = '/wp-json/affwp/v1';
+
+// ─── Data ──────────────────────────────────────────────────
+
+function snapshotData() {
+  const from = new Date(0);
+  const to = new Date(Date.UTC(9999, 11, 31));
+  return {
+    visits: loadRecords(cacheDir, 'visits', from, to),
+    referrals: loadRecords(cacheDir, 'referrals', from, to),
+  };
+}
+
+/**
+ * Deterministic traffic per funnel: LP visits (plus /meta.json noise),
+ * order form visits referred from the LP, and referrals credited to them.
+ * Modal funnels register from the LP (free), order form funnels sell at £59.
+ */
+function syntheticData() {
+  const random = seededRandom(42);
+  const visits = [];
+  const referrals = [];
+  const now = Date.now();
+
+  for (const funnel of loadFunnels()) {
+    if (!funnel.landing.length) continue;
+    const lpUrl = `https://${funnel.landing[0]}`;
+    const ofUrl = funnel.order_form.length ? `https://${funnel.order_form[0]}` : null;
+
+    for (let i = 0; i < days * 150; i++) {
+      const date = new Date(now - random() * days * 24 * 60 * 60 * 1000);
+      const lp = addVisit(visits, { url: lpUrl, referrer: 'https://www.facebook.com/', campaign: funnel.id, date });
+
+      let converting = lp;
+      if (funnel.signup !== 'modal') {
+        if (!ofUrl || random() > 0.08) continue;
+        converting = addVisit(visits, { url: ofUrl, referrer: lpUrl, campaign: funnel.id, date: later(date, random) });
+        if (random() > 0.5) continue;
+      } else if (random() > 0.1) {
+        continue;
+      }
+
+      referrals.push({
+        referral_id: referrals.length + 1,
+        affiliate_id: 36,
+        visit_id: converting.visit_id,
+        amount: funnel.signup === 'modal' ? '0.00' : '59.00',
+        status: funnel.signup === 'modal' ? 'pending' : 'unpaid',
+        description: funnel.signup === 'modal' ? 'SMM Free Course Signup' : funnel.label,
+        campaign: funnel.id,
+        custom: `funnel_tag=${funnel.id}`,
+        date: affwpDate(later(new Date(converting.date.replace(' ', 'T') + 'Z'), random)),
+      });
+    }
+  }
+
+  for (let i = 0; i < days * 400; i++) {
+    addVisit(visits, { url: 'https://www.urbansketchcourse.com/meta.json', referrer: '', campaign: '', date: new Date(now - random() * days * 24 * 60 * 60 * 1000) });
+  }
+
+  const newestFirst = (a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0);
+  return { visits: visits.sort(newestFirst), referrals: referrals.sort(newestFirst) };
+}
+
+function addVisit(visits, { url, referrer, campaign, date }) {
+  const visit = {
+    visit_id: visits.length + 1,
+    affiliate_id: 36,
+    referral_id: 0,
+    url,
+    referrer,
+    campaign,
+    ip: '127.0.0.1',
+    date: affwpDate(date),
+  };
+  visits.push(visit);
+  return visit;
+}
+
+// A few seconds to minutes after `date`, capped at now
+function later(date, random) {
+  return new Date(Math.min(Date.now(), date.getTime() + 5000 + random() * 300000));
+}
+
+// AffiliateWP's 'YYYY-MM-DD HH:MM:SS' (UTC)
+function affwpDate(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─── Server ────────────────────────────────────────────────
+
+const data = synthetic ? syntheticData() : snapshotData();
+let nextVisitId = data.visits.reduce((max, v) => Math.max(max, Number(v.visit_id) || 0), 0) + 1;
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const endpoint = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length).replace(/\/$/, '') : '';
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (req.method === 'POST' && endpoint === '/visits') {
+    send(201, { visit_id: nextVisitId++ });
+    return;
+  }
+  if (req.method !== 'GET' || (endpoint !== '/visits' && endpoint !== '/referrals')) {
+    send(404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method.' });
+    return;
+  }
+
+  const records = data[endpoint.slice(1)];
+  const number = parseInt(url.searchParams.get('number') || '20', 10);
+  const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+  const ordered = (url.searchParams.get('order') || 'DESC').toUpperCase() === 'ASC' ? [...records].reverse() : records;
+  send(200, ordered.slice(offset, offset + number));
+});
+
+server.listen(port, () => {
+  const source = synthetic ? `synthetic data, last ${days} days` : `snapshot ${cacheDir}`;
+  console.log(`AffiliateWP stub on http://localhost:${port}${API_PREFIX} (${source}: ${data.visits.length} visits, ${data.referrals.length} referrals)`);
+});
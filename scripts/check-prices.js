@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Price check — every price a page shows must come from the catalogue.
+ *
+ * Validates shared/products.json (see scripts/lib/catalogue.js), then scans
+ * every landing page (*.html outside scripts/ and wp-mu-plugin/):
+ *   - a page with .price* spans must have a catalogue entry, and each
+ *     span class must be one the catalogue fills in for every region
+ *   - any amount written into the page's text ($199, £29.95, A$49.95 —
+ *     including the placeholder inside a span) must be an amount the
+ *     catalogue defines for that page; pages without an entry must not
+ *     show amounts at all
+ * <script> and <style> contents are skipped, except for one check: a page
+ * whose handleBuy reads VL_PRICING.checkout must fall back to its product's
+ * checkout.default (the order form used when the worker didn't run).
+ *
+ * Exits with status 1 and lists the problems when anything fails, so it
+ * can gate a deploy.
+ *
+ * Usage:
+ *   node scripts/check-prices.js
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { resolve, dirname, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { pageEntry, priceTexts, catalogueErrors } from './lib/catalogue.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, '..');
+const CATALOGUE_PATH = resolve(ROOT, 'shared/products.json');
+
+const SKIP_DIRS = new Set(['.git', 'node_modules', 'scripts', 'wp-mu-plugin']);
+const PRICE_CLASS = /class="[^"]*"/g;
+const AMOUNT = /(?:A|AU|CA|C|US)?[$£€]\s?\d[\d,]*(?:\.\d+)?/g;
+const CHECKOUT_FALLBACK = /VL_PRICING\.checkout\)\s*\|\|\s*'([^']*)'/g;
+const ENTITIES = { '&pound;': '£', '&euro;': '€', '&dollar;': '$', '&#36;': '$', '&#163;': '£', '&#8364;': '€' };
+
+function main() {
+  const catalogue = JSON.parse(readFileSync(CATALOGUE_PATH, 'utf-8'));
+  const problems = catalogueErrors(catalogue).map(e => `shared/products.json: ${e}`);
+
+  const pages = htmlFiles(ROOT);
+  for (const file of pages) {
+    const path = '/' + relative(ROOT, file).split(sep).join('/');
+    const html = readFileSync(file, 'utf-8');
+    problems.push(...checkPage(catalogue, path, html), ...checkCheckout(catalogue, path, html));
+  }
+
+  if (problems.length) {
+    console.error(`Price check failed (${problems.length}):`);
+    for (const p of problems) console.error(`  ${p}`);
+    process.exit(1);
+  }
+  console.log(`Prices OK: ${pages.length} pages checked against shared/products.json`);
+}
+
+/**
+ * Problems with one page, as strings.
+ */
+function checkPage(catalogue, path, html) {
+  const markup = html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ');
+  const classes = new Set();
+  for (const attr of markup.match(PRICE_CLASS) || []) {
+    for (const cls of attr.slice(7, -1).split(/\s+/)) {
+      if (/^price[A-Z]/.test(cls)) classes.add(cls);
+    }
+  }
+  const amounts = new Set(amountsIn(decodeEntities(markup.replace(/<[^>]+>/g, ' '))));
+  if (!classes.size && !amounts.size) return [];
+
+  const entry = pageEntry(catalogue, path);
+  if (!entry) {
+    return [`${path}: shows prices (${[...classes, ...amounts].join(', ')}) but has no catalogue entry`];
+  }
+
+  const problems = [];
+  const regions = Object.keys(catalogue.regions);
+  const tables = regions.map(region => priceTexts(catalogue, entry, region));
+  for (const cls of classes) {
+    const missing = regions.filter((region, i) => !(cls in tables[i]));
+    if (missing.length) problems.push(`${path}: .${cls} is not defined for ${missing.join(', ')} (${entry.key})`);
+  }
+  const defined = new Set(tables.flatMap(table => Object.values(table).flatMap(amountsIn)));
+  for (const amount of amounts) {
+    if (!defined.has(amount)) problems.push(`${path}: ${amount} is not a ${entry.key} price in the catalogue`);
+  }
+  return problems;
+}
+
+/**
+ * Problems with a page's checkout fallback, as strings.
+ */
+function checkCheckout(catalogue, path, html) {
+  if (!html.includes('VL_PRICING.checkout')) return [];
+  const entry = pageEntry(catalogue, path);
+  if (!entry || !entry.product) return [`${path}: reads VL_PRICING.checkout but sells no catalogue product`];
+
+  const expected = entry.product.checkout.default;
+  const fallbacks = [...html.matchAll(CHECKOUT_FALLBACK)].map(match => match[1]);
+  if (!fallbacks.length) return [`${path}: VL_PRICING.checkout has no fallback order form (${expected})`];
+  return fallbacks
+    .filter(url => url !== expected)
+    .map(url => `${path}: checkout fallback ${url} is not ${entry.key}'s checkout.default ${expected}`);
+}
+
+function amountsIn(text) {
+  return (text.match(AMOUNT) || []).map(a => a.replace(/\s/g, ''));
+}
+
+function decodeEntities(text) {
+  return text.replace(/&[#a-z0-9]+;/gi, entity => ENTITIES[entity.toLowerCase()] || entity);
+}
+
+function htmlFiles(dir) {
+  const files = [];
+  for (const item of readdirSync(dir, { withFileTypes: true })) {
+    if (item.isDirectory()) {
+      if (!SKIP_DIRS.has(item.name)) files.push(...htmlFiles(resolve(dir, item.name)));
+    } else if (item.name.endsWith('.html')) {
+      files.push(resolve(dir, item.name));
+    }
+  }
+  return files.sort();
+}
+
+main();
@@ -0,0 +1,217 @@
+/**
+ * Ad-platform data for the CRO report (spend, impressions, clicks).
+ *
+ * Accepts either:
+ *   - a Meta Ads Manager Insights export (.csv) — campaign level, ideally
+ *     with a "Day" breakdown so any report period can be cut from it
+ *   - a .json file from the scripts/gomarble-mcp server — the Graph API
+ *     insights response ({ data: [...] }), a bare array of rows, or an
+ *     array of responses. Use level=campaign and time_increment=1.
+ *
+ * Rows are normalised to { campaign, campaignId, dateStart, dateStop,
+ * spend, impressions, clicks }. CPC and CTR are always recomputed from
+ * the summed spend/clicks/impressions rather than averaged per row.
+ *
+ * Joining to AffiliateWP: the ads' `?campaign=` URL parameter becomes the
+ * AffiliateWP visit/referral `campaign`, so rows are matched on campaign
+ * name (case-insensitive) or campaign id, whichever the ad URLs carry.
+ */
+
+import { ukDayBounds } from './period.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Meta export headers vary by locale/settings and carry a currency suffix,
+// e.g. "Amount spent (GBP)". Matched case-insensitively on the prefix.
+const CSV_COLUMNS = {
+  campaign: ['campaign name'],
+  campaignId: ['campaign id'],
+  day: ['day'],
+  dateStart: ['reporting starts'],
+  dateStop: ['reporting ends'],
+  spend: ['amount spent'],
+  impressions: ['impressions'],
+  clicks: ['link clicks', 'clicks (all)', 'clicks'],
+};
+
+/**
+ * Normalise the contents of an ads file (loadAdsData() in files.js reads
+ * it). Format is chosen by the file name's extension.
+ */
+export function parseAdsFile(content, name) {
+  const ext = (name.match(/\.[^./\\]+$/) || [''])[0].toLowerCase();
+  if (ext === '.csv') return parseMetaCsv(content);
+  if (ext === '.json') return parseInsightsJson(JSON.parse(content));
+  throw new Error(`Unsupported ads file "${name}" \u2014 expected a Meta .csv export or GoMarble .json`);
+}
+
+/**
+ * Summarise ad rows for a period { start, end }.
+ *
+ * Rows covering several days (no daily breakdown) that straddle the period
+ * are pro-rated by how much of them falls inside it.
+ * Returns { spend, impressions, clicks, cpc, ctr, campaigns: [{ campaign, campaignId, spend, ... }] }.
+ */
+export function summarizeAds(rows, period) {
+  const campaigns = new Map();
+
+  for (const row of rows) {
+    const share = periodShare(row, period);
+    if (share <= 0) continue;
+
+    const key = row.campaignId || row.campaign.toLowerCase();
+    if (!campaigns.has(key)) {
+      campaigns.set(key, { campaign: row.campaign, campaignId: row.campaignId, spend: 0, impressions: 0, clicks: 0 });
+    }
+    const c = campaigns.get(key);
+    c.spend += row.spend * share;
+    c.impressions += row.impressions * share;
+    c.clicks += row.clicks * share;
+  }
+
+  const list = [...campaigns.values()].map(withRates).sort((a, b) => b.spend - a.spend);
+  const total = withRates(list.reduce((t, c) => ({
+    spend: t.spend + c.spend,
+    impressions: t.impressions + c.impressions,
+    clicks: t.clicks + c.clicks,
+  }), { spend: 0, impressions: 0, clicks: 0 }));
+
+  return { ...total, campaigns: list };
+}
+
+/**
+ * Does an AffiliateWP campaign value refer to this ad campaign?
+ */
+export function matchesCampaign(adCampaign, affwpCampaign) {
+  if (!affwpCampaign) return false;
+  const value = String(affwpCampaign).trim().toLowerCase();
+  return value === adCampaign.campaign.trim().toLowerCase()
+    || (Boolean(adCampaign.campaignId) && value === String(adCampaign.campaignId));
+}
+
+// ─── Parsers ───────────────────────────────────────────────
+
+function parseMetaCsv(content) {
+  const [header, ...records] = parseCsv(content.replace(/^\ufeff/, ''));
+  if (!header) return [];
+
+  const col = {};
+  const names = header.map(h => h.trim().toLowerCase());
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    for (const alias of aliases) {
+      const idx = names.findIndex(n => n === alias || n.startsWith(`${alias} (`));
+      if (idx !== -1) { col[field] = idx; break; }
+    }
+  }
+  if (col.campaign === undefined || col.spend === undefined) {
+    throw new Error('Meta CSV needs at least "Campaign name" and "Amount spent" columns (export at campaign level)');
+  }
+
+  return records
+    .filter(r => r.length > 1 && r[col.campaign])
+    .map(r => {
+      const cell = (field) => (col[field] === undefined ? '' : r[col[field]]);
+      const day = cell('day');
+      return {
+        campaign: cell('campaign'),
+        campaignId: cell('campaignId') || null,
+        dateStart: day || cell('dateStart') || null,
+        dateStop: day || cell('dateStop') || null,
+        spend: number(cell('spend')),
+        impressions: number(cell('impressions')),
+        clicks: number(cell('clicks')),
+      };
+    });
+}
+
+function parseInsightsJson(json) {
+  const responses = Array.isArray(json) ? json : [json];
+  const rows = responses.flatMap(r => (r && Array.isArray(r.data) ? r.data : [r]));
+
+  return rows
+    .filter(r => r && (r.campaign_name || r.campaign_id))
+    .map(r => ({
+      campaign: r.campaign_name || String(r.campaign_id),
+      campaignId: r.campaign_id ? String(r.campaign_id) : null,
+      dateStart: r.date_start || null,
+      dateStop: r.date_stop || null,
+      spend: number(r.spend),
+      impressions: number(r.impressions),
+      clicks: number(r.inline_link_clicks ?? r.clicks),
+    }));
+}
+
+// Minimal RFC 4180 parser — quoted fields may contain commas, quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// ─── Helpers ───────────────────────────────────────────────
+
+function number(value) {
+  const n = parseFloat(String(value ?? '').replace(/[^0-9.\-]/g, ''));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function withRates(t) {
+  return {
+    ...t,
+    cpc: t.clicks > 0 ? t.spend / t.clicks : 0,
+    ctr: t.impressions > 0 ? t.clicks / t.impressions * 100 : 0,
+  };
+}
+
+/**
+ * Fraction of a row that falls inside the period. Each of the row's UK
+ * calendar days counts by how much of it the period overlaps, so rolling
+ * --days windows take partial first/last days.
+ * Rows without dates are taken to be exactly the report period.
+ */
+function periodShare(row, period) {
+  if (!row.dateStart) return 1;
+  const days = dayRange(row.dateStart, row.dateStop || row.dateStart);
+  if (!days.length) return 0;
+
+  const periodStart = new Date(period.start).getTime();
+  const periodEnd = new Date(period.end).getTime();
+  let inside = 0;
+  for (const day of days) {
+    const { start, end } = ukDayBounds(day);
+    const overlap = Math.min(end, periodEnd) - Math.max(start, periodStart);
+    if (overlap > 0) inside += overlap / (end - start);
+  }
+  return inside / days.length;
+}
+
+// ISO dates from start to stop inclusive
+function dayRange(start, stop) {
+  const days = [];
+  for (let t = Date.parse(`${start}T00:00:00Z`); t <= Date.parse(`${stop}T00:00:00Z`); t += DAY_MS) {
+    days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+}
@@ -0,0 +1,99 @@
+/**
+ * AffiliateWP REST API client.
+ *
+ * Credentials are passed in rather than read from scripts/.env so the same
+ * client works from the CLI script and anywhere else that has its own
+ * config (no side effects on import).
+ */
+
+import { parseAffwpDate } from './period.js';
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Create an API client. Returns an async `(endpoint, params) => json` function.
+ */
+export function createApiClient({ parentUrl, publicKey, token }) {
+  const authHeader = 'Basic ' + btoa(`${publicKey}:${token}`);
+  const apiBase = `${parentUrl.replace(/\/$/, '')}/wp-json/affwp/v1`;
+
+  return async function apiFetch(endpoint, params = {}) {
+    const url = new URL(`${apiBase}${endpoint}`);
+    for (const [k, v] of Object.entries(params)) {
+      url.searchParams.set(k, v);
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+      const resp = await fetch(url.toString(), {
+        headers: { Authorization: authHeader },
+        signal: controller.signal,
+      });
+      clearTimeout(timeout);
+
+      if (!resp.ok) {
+        const text = await resp.text();
+        throw new Error(`API ${resp.status}: ${text.slice(0, 200)}`);
+      }
+
+      return resp.json();
+    } catch (err) {
+      clearTimeout(timeout);
+      if (err.name === 'AbortError') {
+        throw new Error(`API timeout after ${REQUEST_TIMEOUT_MS / 1000}s: ${endpoint}`);
+      }
+      throw err;
+    }
+  };
+}
+
+/**
+ * Page through an endpoint newest-first until records are older than `stopBefore`.
+ * `startOffset` skips records already known to be in the snapshot.
+ *
+ * Returns { records, hitLimit, oldest } — hitLimit means maxBatches ran out
+ * before reaching stopBefore, and `oldest` is the oldest record date fetched.
+ */
+export async function fetchNewerThan(apiFetch, endpoint, { stopBefore, batchSize, startOffset = 0, maxBatches = Infinity, label = endpoint, progress = () => {} }) {
+  const records = [];
+  let offset = startOffset;
+  let keepGoing = true;
+  let batchNum = 0;
+  let oldest = null;
+
+  while (keepGoing && batchNum < maxBatches) {
+    batchNum++;
+    progress(`  Fetching ${label} batch ${batchNum} (offset ${offset})...\r`);
+    const batch = await apiFetch(endpoint, {
+      number: batchSize.toString(),
+      offset: offset.toString(),
+      orderby: 'date',
+      order: 'DESC',
+    });
+
+    if (!Array.isArray(batch) || batch.length === 0) {
+      keepGoing = false;
+      break;
+    }
+
+    for (const record of batch) {
+      const date = parseAffwpDate(record.date);
+      if (date < stopBefore) {
+        keepGoing = false;
+        break;
+      }
+      records.push(record);
+      oldest = date;
+    }
+
+    if (batch.length < batchSize) {
+      keepGoing = false;
+      break;
+    }
+    offset += batchSize;
+  }
+
+  return { records, hitLimit: keepGoing, oldest, batches: batchNum };
+}
@@ -0,0 +1,149 @@
+/**
+ * Product catalogue (shared/products.json).
+ *
+ * One entry per paid course:
+ *   pages    — landing page paths that sell it
+ *   checkout — order form URL per region ({ "default": url, "gb": url })
+ *   symbols  — optional currency symbol per region, overriding the
+ *              region's (the beginners course has always shown AU$)
+ *   prices   — per region: offer, full (list price) and the bonus stack
+ *              (value of each bonus, in page order)
+ * Regions hold the countries they cover, currency, symbol and the
+ * colour/color spelling. Everything a page shows is derived here, so a
+ * total can't disagree with its parts:
+ *   .priceOffer / .priceFull   offer / full
+ *   .priceDiscount             full - offer (always with pence/cents)
+ *   .priceSplit                half the offer, rounded up (2 payments)
+ *   .priceBonus<N>             Nth bonus
+ *   .priceBonusALL / .priceBonusTotal   sum of the bonuses
+ *   .priceValueTotal           full + bonuses
+ *   .priceColour / .priceColourCap      region spelling
+ *
+ * legacyPages keeps the hand-written tables of retired pages
+ * (beginners-course-v1) as display strings per span class.
+ *
+ * No fs here: the worker imports the JSON directly (worker/geo-pricing.js)
+ * and scripts/check-prices.js validates pages against the same rules.
+ */
+
+/**
+ * Catalogue region key for an ISO country code (defaultRegion if none match).
+ */
+export function regionForCountry(catalogue, country) {
+  for (const [region, { countries }] of Object.entries(catalogue.regions)) {
+    if (countries.includes(country)) return region;
+  }
+  return catalogue.defaultRegion;
+}
+
+/**
+ * The catalogue entry that prices a page path, or null.
+ * Returns { key, product } for a course page, { key, legacy } for a
+ * legacyPages entry.
+ */
+export function pageEntry(catalogue, pathname) {
+  const path = normalisePath(pathname);
+  const matches = entry => entry.some(p => normalisePath(p) === path);
+  for (const [key, product] of Object.entries(catalogue.products)) {
+    if (matches(product.pages)) return { key, product };
+  }
+  for (const [key, legacy] of Object.entries(catalogue.legacyPages || {})) {
+    if (matches(legacy.paths)) return { key, legacy };
+  }
+  return null;
+}
+
+/**
+ * Text for every .price* span class of a page in one region:
+ * { priceOffer: '£199', priceDiscount: '£100.00', ..., priceColour: 'colour' }.
+ */
+export function priceTexts(catalogue, entry, region) {
+  const { spelling } = catalogue.regions[region];
+  const symbol = ((entry.product && entry.product.symbols) || {})[region] || catalogue.regions[region].symbol;
+  const texts = entry.product
+    ? productTexts(symbol, entry.product.prices[region])
+    : { ...entry.legacy.prices[region] };
+  texts.priceColour = spelling;
+  texts.priceColourCap = spelling.charAt(0).toUpperCase() + spelling.slice(1);
+  return texts;
+}
+
+/**
+ * Order form URL for a product in a region.
+ */
+export function checkoutUrl(product, region) {
+  return product.checkout[region] || product.checkout.default;
+}
+
+/**
+ * Problems with the catalogue itself, as strings (empty when valid).
+ */
+export function catalogueErrors(catalogue) {
+  const errors = [];
+  const regions = Object.keys(catalogue.regions || {});
+  if (!regions.includes(catalogue.defaultRegion)) errors.push(`defaultRegion "${catalogue.defaultRegion}" is not a region`);
+
+  for (const [key, product] of Object.entries(catalogue.products || {})) {
+    if (!/^https:\/\//.test((product.checkout || {}).default || '')) errors.push(`${key}: checkout.default must be an https URL`);
+    for (const region of Object.keys(product.symbols || {})) {
+      if (!regions.includes(region)) errors.push(`${key}: symbols has unknown region "${region}"`);
+    }
+    let first = null;
+    for (const region of regions) {
+      const p = product.prices[region];
+      if (!p) {
+        errors.push(`${key}: no prices for region "${region}"`);
+        continue;
+      }
+      if (![p.offer, p.full, ...(p.bonuses || [])].every(v => typeof v === 'number' && v >= 0)) {
+        errors.push(`${key}/${region}: offer, full and bonuses must be numbers`);
+      } else if (p.offer > p.full) {
+        errors.push(`${key}/${region}: offer ${p.offer} is above the full price ${p.full}`);
+      }
+      const count = (p.bonuses || []).length;
+      if (!first) {
+        first = { region, count };
+      } else if (count !== first.count) {
+        errors.push(`${key}/${region}: ${count} bonuses, ${first.region} has ${first.count}`);
+      }
+    }
+  }
+  for (const [key, legacy] of Object.entries(catalogue.legacyPages || {})) {
+    for (const region of regions) {
+      if (!legacy.prices[region]) errors.push(`${key}: no prices for region "${region}"`);
+    }
+  }
+  return errors;
+}
+
+function productTexts(symbol, prices) {
+  const { offer, full, bonuses } = prices;
+  const bonusTotal = sum(bonuses);
+  const texts = {
+    priceOffer: money(symbol, offer),
+    priceFull: money(symbol, full),
+    priceDiscount: money(symbol, full - offer, true),
+    priceSplit: money(symbol, Math.ceil(offer / 2)),
+    priceBonusALL: money(symbol, bonusTotal),
+    priceBonusTotal: money(symbol, bonusTotal),
+    priceValueTotal: money(symbol, full + bonusTotal),
+  };
+  bonuses.forEach((value, i) => { texts[`priceBonus${i + 1}`] = money(symbol, value); });
+  return texts;
+}
+
+// Whole amounts without decimals ($199), anything else to the cent ($29.95)
+function money(symbol, amount, cents = false) {
+  const rounded = Math.round(amount * 100) / 100;
+  return symbol + (cents || !Number.isInteger(rounded) ? rounded.toFixed(2) : String(rounded));
+}
+
+function sum(values) {
+  return values.reduce((total, v) => total + v, 0);
+}
+
+// /landscape-course/a/, /landscape-course/a/index.html and
+// /beginners-course-v1/start/variant-b(.html) all name one page
+function normalisePath(pathname) {
+  return pathname.replace(/(?:index)?(?:\.html)?$/, '').replace(/\/+$/, '');
+}
@@ -0,0 +1,165 @@
+/**
+ * A/B experiment analysis for the CRO report.
+ *
+ * Reads the same shared/experiments.json manifest the client-side router
+ * uses, assigns AffiliateWP visits and referrals to arms, and computes
+ * per-arm conversion rates plus lift / significance against control.
+ *
+ * How records are attributed to an arm:
+ *   LP visit        — visit URL path is under the arm's path (/free-course/a/)
+ *   Order form visit — Referer is the arm's LP (how OF attribution works —
+ *                      see PROJECT-STATE.md), else the buy URL's ?variant=
+ *                      param when the Referer is the experiment's router path
+ *   Referral        — `custom` carries variant=<arm> (modal Lead, set by the
+ *                      MU-plugin), else its visit_id resolves to an attributed visit
+ */
+
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { wilsonInterval, twoProportionTest, sampleRatioTest } from './stats.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MANIFEST_PATH = resolve(__dirname, '../../shared/experiments.json');
+
+// SRM is flagged well below the usual 0.05 — with thousands of visits a
+// real bucketing bug shows up as a tiny p-value, while 0.05 would cry wolf.
+const SRM_P_THRESHOLD = 0.001;
+
+/**
+ * Load one experiment from shared/experiments.json. Throws if it doesn't exist.
+ */
+export function loadExperiment(id) {
+  const manifest = JSON.parse(readFileSync(MANIFEST_PATH, 'utf-8'));
+  const experiment = manifest.experiments && manifest.experiments[id];
+  if (!experiment) {
+    const known = Object.keys(manifest.experiments || {}).join(', ') || '(none)';
+    throw new Error(`Unknown experiment "${id}". Configured experiments: ${known}`);
+  }
+  return { id, ...experiment };
+}
+
+/**
+ * Which arm (variant name) a visit belongs to, or null.
+ */
+export function variantForVisit(visit, experiment) {
+  const urlPath = pathOf(visit.url);
+  const referrerPath = pathOf(visit.referrer);
+
+  for (const v of experiment.variants) {
+    if (urlPath && urlPath.startsWith(v.path)) return v.name;
+  }
+  for (const v of experiment.variants) {
+    if (referrerPath && referrerPath.startsWith(v.path)) return v.name;
+  }
+
+  // Buy URL ?variant= is only meaningful if the visitor came from this experiment
+  if (referrerPath && referrerPath.startsWith(experiment.path)) {
+    const param = paramOf(visit.url, 'variant');
+    if (param && experiment.variants.some(v => v.name === param)) return param;
+  }
+
+  return null;
+}
+
+/**
+ * Which arm a referral belongs to, or null.
+ * `visitVariants` maps visit_id -> variant name for attributed visits.
+ */
+export function variantForReferral(referral, experiment, visitVariants) {
+  const custom = typeof referral.custom === 'string' ? new URLSearchParams(referral.custom) : null;
+  const tagged = custom && custom.get('variant');
+  const funnelTag = custom && custom.get('funnel_tag');
+  if (tagged && (!funnelTag || funnelTag === experiment.id)
+      && experiment.variants.some(v => v.name === tagged)) {
+    return tagged;
+  }
+
+  const visitId = referral.visit_id && String(referral.visit_id);
+  if (visitId && visitVariants.has(visitId)) return visitVariants.get(visitId);
+
+  return null;
+}
+
+/**
+ * Group visits/referrals by arm and compute per-arm stats.
+ *
+ * `visits` must already carry `_type` from classifyVisit ('landing' | 'order_form' | ...).
+ * Returns { experiment, control, arms[], unattributedReferrals, srm }.
+ */
+export function analyzeExperiment(experiment, visits, referrals, confidence = 0.95) {
+  const arms = new Map(experiment.variants.map(v => [v.name, {
+    name: v.name,
+    weight: v.weight || 0,
+    lpVisits: 0,
+    ofVisits: 0,
+    conversions: 0,
+    revenue: 0,
+  }]));
+
+  const visitVariants = new Map();
+  for (const visit of visits) {
+    if (visit._type !== 'landing' && visit._type !== 'order_form') continue;
+    const variant = variantForVisit(visit, experiment);
+    if (!variant) continue;
+
+    visitVariants.set(String(visit.visit_id ?? visit.id), variant);
+    const arm = arms.get(variant);
+    if (visit._type === 'landing') arm.lpVisits++;
+    else arm.ofVisits++;
+  }
+
+  let unattributedReferrals = 0;
+  for (const r of referrals) {
+    if (r.status === 'rejected') continue;
+    const variant = variantForReferral(r, experiment, visitVariants);
+    if (!variant) {
+      unattributedReferrals++;
+      continue;
+    }
+    const arm = arms.get(variant);
+    arm.conversions++;
+    arm.revenue += parseFloat(r.amount || 0);
+  }
+
+  const controlName = arms.has(experiment.control) ? experiment.control : experiment.variants[0].name;
+  const control = arms.get(controlName);
+
+  for (const arm of arms.values()) {
+    arm.lpToOfRate = arm.lpVisits > 0 ? arm.ofVisits / arm.lpVisits : 0;
+    arm.conversionRate = arm.lpVisits > 0 ? arm.conversions / arm.lpVisits : 0;
+    arm.conversionCi = wilsonInterval(arm.conversions, arm.lpVisits, confidence);
+    arm.vsControl = arm.name === controlName
+      ? null
+      : twoProportionTest(control.conversions, control.lpVisits, arm.conversions, arm.lpVisits, confidence);
+  }
+
+  const armList = [...arms.values()];
+  const srmResult = sampleRatioTest(armList.map(a => a.lpVisits), armList.map(a => a.weight));
+
+  return {
+    experiment,
+    control: controlName,
+    confidence,
+    arms: armList,
+    unattributedReferrals,
+    srm: { ...srmResult, mismatch: srmResult.pValue < SRM_P_THRESHOLD, threshold: SRM_P_THRESHOLD },
+  };
+}
+
+function pathOf(url) {
+  if (!url) return '';
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return '';
+  }
+}
+
+function paramOf(url, name) {
+  try {
+    return new URL(url).searchParams.get(name);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * File loaders for the report config and inputs (Node only).
+ *
+ * Kept apart from funnels.js, rules.js and ads.js so report.js and its
+ * imports stay free of fs/path and can be bundled into the worker, which
+ * imports the JSON directly (see worker/scheduled-report.js).
+ */
+
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseFunnelMap } from './funnels.js';
+import { parseRules } from './rules.js';
+import { parseAdsFile } from './ads.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FUNNEL_MAP_PATH = resolve(__dirname, '../funnels.json');
+const RULES_PATH = resolve(__dirname, '../rules.json');
+
+/**
+ * Load the funnel map (scripts/funnels.json).
+ */
+export function loadFunnels(path = FUNNEL_MAP_PATH) {
+  return parseFunnelMap(JSON.parse(readFileSync(path, 'utf-8')));
+}
+
+/**
+ * Load the constraint rules (scripts/rules.json).
+ */
+export function loadRules(path = RULES_PATH) {
+  return parseRules(JSON.parse(readFileSync(path, 'utf-8')), path);
+}
+
+/**
+ * Load and normalise a Meta CSV / GoMarble JSON ads file.
+ */
+export function loadAdsData(path) {
+  return parseAdsFile(readFileSync(path, 'utf-8'), path);
+}
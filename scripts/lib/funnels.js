@@ -0,0 +1,97 @@
+/**
+ * Funnel map for the per-funnel CRO breakdown.
+ *
+ * scripts/funnels.json lists each funnel's stages as host+path prefixes:
+ *   landing     — LP URLs ("go.urbansketchcourse.com/beginners-course/")
+ *   order_form  — order form / registration URLs on learn.urbansketch.com
+ *   signup      — "order_form" (LP -> OF -> purchase) or "modal" (the LP
+ *                 registers the user itself, so there is no OF stage)
+ *   referrals   — funnel_tags: MU-plugin `funnel_tag` values in referral.custom
+ *                 descriptions: case-insensitive substrings of referral.description
+ *
+ * How records are assigned to a funnel (first match wins):
+ *   LP visit         — visit URL matches a funnel's landing prefix
+ *   Order form visit — Referer matches a funnel's landing prefix (how OF
+ *                      attribution works — see PROJECT-STATE.md), else the
+ *                      visit URL matches an order_form prefix
+ *   Referral         — custom funnel_tag, else its visit_id resolves to a
+ *                      mapped visit, else a description pattern
+ *
+ * Modal signups from both free funnels share the description "SMM Free
+ * Course Signup", so free referrals can only be told apart by funnel_tag
+ * or visit_id — hence no description patterns for them.
+ */
+
+/**
+ * Normalise the parsed funnels.json (loadFunnels() in files.js reads it).
+ * Returns [{ id, label, signup, landing[], order_form[], referrals }].
+ */
+export function parseFunnelMap(map) {
+  return Object.entries(map.funnels || {}).map(([id, funnel]) => ({
+    id,
+    label: funnel.label || id,
+    signup: funnel.signup || 'order_form',
+    landing: funnel.landing || [],
+    order_form: funnel.order_form || [],
+    referrals: {
+      funnel_tags: (funnel.referrals && funnel.referrals.funnel_tags) || [],
+      descriptions: ((funnel.referrals && funnel.referrals.descriptions) || []).map(d => d.toLowerCase()),
+    },
+  }));
+}
+
+/**
+ * Which funnel id a classified visit belongs to, or null.
+ * `type` is classifyVisit()'s result ('landing' | 'order_form' | ...).
+ */
+export function funnelForVisit(visit, type, funnels) {
+  if (type === 'landing') {
+    return matchPrefix(visit.url, funnels, f => f.landing);
+  }
+  if (type === 'order_form') {
+    return matchPrefix(visit.referrer, funnels, f => f.landing)
+      || matchPrefix(visit.url, funnels, f => f.order_form);
+  }
+  return null;
+}
+
+/**
+ * Which funnel id a referral belongs to, or null.
+ * `visitFunnels` maps visit_id -> funnel id for mapped visits.
+ */
+export function funnelForReferral(referral, funnels, visitFunnels) {
+  const custom = typeof referral.custom === 'string' ? new URLSearchParams(referral.custom) : null;
+  const tag = custom && custom.get('funnel_tag');
+  if (tag) {
+    const tagged = funnels.find(f => f.referrals.funnel_tags.includes(tag));
+    if (tagged) return tagged.id;
+  }
+
+  const visitId = referral.visit_id && String(referral.visit_id);
+  if (visitId && visitFunnels.has(visitId)) return visitFunnels.get(visitId);
+
+  const description = (referral.description || '').toLowerCase();
+  if (description) {
+    const described = funnels.find(f => f.referrals.descriptions.some(d => description.includes(d)));
+    if (described) return described.id;
+  }
+
+  return null;
+}
+
+function matchPrefix(url, funnels, prefixesOf) {
+  const key = hostPath(url);
+  if (!key) return null;
+  const funnel = funnels.find(f => prefixesOf(f).some(prefix => key.startsWith(prefix)));
+  return funnel ? funnel.id : null;
+}
+
+function hostPath(url) {
+  if (!url) return '';
+  try {
+    const u = new URL(url);
+    return u.hostname + u.pathname;
+  } catch {
+    return '';
+  }
+}
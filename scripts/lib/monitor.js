@@ -0,0 +1,233 @@
+/**
+ * Anomaly monitor for AffiliateWP visit and referral volumes.
+ *
+ * Builds a daily series (UK calendar days) for the whole site and for each
+ * funnel in funnels.json, then flags days that look broken rather than
+ * merely slow — the 22 Apr 2026 modal launch cut free-registration
+ * attribution by 75% on day one and to zero on day two, and it was only
+ * noticed by hand.
+ *
+ * Per day and series:
+ *   lp_visits, of_visits        — classified as in report.js
+ *   free_registrations, paid_sales, referrals (non-rejected)
+ *   orphan_referrals            — referrals with no visit_id, or one that
+ *                                 matches no visit in the loaded window
+ *
+ * Checks (thresholds in the "monitor" section of scripts/rules.json):
+ *   band             — metric outside a fixed band, e.g. 80-130 free regs/day
+ *   zero_referrals   — LP traffic but no referrals at all
+ *   visit_drop       — LP visits far below the trailing median
+ *   referral_drop    — referrals far below the trailing median while LP
+ *                      visits held up
+ *   orphan_referrals — a high share of referrals not linked to a visit
+ *
+ * Each alert names the layer most likely to be broken, judged by which
+ * stage of the funnel the numbers stop at.
+ */
+
+import { classifyVisit } from './report.js';
+import { funnelForVisit, funnelForReferral } from './funnels.js';
+import { ukIsoDate, ukDayBounds, parseAffwpDate } from './period.js';
+
+export const MONITOR_SCHEMA_VERSION = 1;
+
+export const DEFAULT_MONITOR_SETTINGS = {
+  baseline_days: 7,
+  drop_pct: 50,
+  zero_referrals_min_lp_visits: 50,
+  orphan_referrals_min: 5,
+  orphan_referrals_max_pct: 25,
+  bands: {},
+};
+
+// Where the funnel most likely broke, by the stage the numbers stop at
+export const LAYERS = {
+  traffic: 'Traffic / visit tracking \u2014 ads paused, DNS or the worker not creating AffiliateWP visits',
+  signup: 'Signup \u2192 referral \u2014 the modal registration is not creating AffiliateWP referrals (form submit, proxyRegister, MU-plugin funnel_tag)',
+  order_form: 'Order form \u2192 referral \u2014 the affiliate cookie is not reaching learn.urbansketch.com, or checkout is not crediting the sale',
+  attribution: 'Referral creation \u2014 AffiliateWP on learn.urbansketch.com is not crediting signups or sales',
+  visit_link: 'Visit \u2192 referral link \u2014 referrals are created without the affwp_visit_id cookie (cross-domain visit id lost)',
+  spike: 'Spike \u2014 check for double-fired signups, duplicate referrals or bot registrations',
+};
+
+const METRICS = ['lp_visits', 'of_visits', 'free_registrations', 'paid_sales', 'referrals', 'orphan_referrals'];
+
+const METRIC_LABELS = {
+  lp_visits: 'LP visits',
+  of_visits: 'Order form visits',
+  free_registrations: 'Free registrations',
+  paid_sales: 'Paid sales',
+  referrals: 'Referrals',
+  orphan_referrals: 'Referrals without a visit',
+};
+
+/**
+ * Run the monitor over `period` (whole UK days).
+ *
+ * `visits` and `referrals` should reach back settings.baseline_days before
+ * period.start so the first days have a baseline to compare against.
+ * Returns { schema_version, period, days[], series: { total, <funnel id> }, alerts[] }
+ * where each series metric is an array aligned with `days`.
+ */
+export function runMonitor({ visits, referrals, funnels = [], period, settings = {} }) {
+  const config = { ...DEFAULT_MONITOR_SETTINGS, ...settings };
+  const windowDays = ukDays(period.start, period.end);
+  const historyStart = ukDayBounds(windowDays[0]).start;
+  const allDays = [...ukDays(shiftDays(historyStart, -config.baseline_days), historyStart), ...windowDays];
+  const offset = allDays.length - windowDays.length;
+
+  const series = dailySeries({ visits, referrals, funnels, days: allDays });
+  const signups = Object.fromEntries(funnels.map(f => [f.id, f.signup]));
+
+  const alerts = [];
+  for (const [key, s] of Object.entries(series)) {
+    for (let i = offset; i < allDays.length; i++) {
+      alerts.push(...checkDay(key, s, i, allDays[i], config, signups[key]));
+    }
+  }
+
+  const trimmed = {};
+  for (const [key, s] of Object.entries(series)) {
+    trimmed[key] = Object.fromEntries(METRICS.map(m => [m, s[m].slice(offset)]));
+  }
+
+  return {
+    schema_version: MONITOR_SCHEMA_VERSION,
+    generated_at: new Date().toISOString(),
+    period: { start: new Date(period.start).toISOString(), end: new Date(period.end).toISOString(), days: windowDays.length },
+    days: windowDays,
+    series: trimmed,
+    alerts,
+  };
+}
+
+/**
+ * One line per alert, for the console and webhooks.
+ */
+export function formatAlert(alert, labels = {}) {
+  const icon = alert.severity === 'critical' ? '\ud83d\udea8' : '\u26a0\ufe0f';
+  const where = alert.series === 'total' ? 'All funnels' : (labels[alert.series] || alert.series);
+  return `${icon} ${alert.date} ${where} \u2014 ${alert.message}\n   Likely broken: ${alert.layer}`;
+}
+
+// ─── Series ────────────────────────────────────────────────
+
+function dailySeries({ visits, referrals, funnels, days }) {
+  const index = new Map(days.map((d, i) => [d, i]));
+  const empty = () => Object.fromEntries(METRICS.map(m => [m, new Array(days.length).fill(0)]));
+  const series = { total: empty() };
+  for (const f of funnels) series[f.id] = empty();
+
+  const add = (funnelId, metric, i) => {
+    series.total[metric][i]++;
+    if (funnelId) series[funnelId][metric][i]++;
+  };
+
+  const visitIds = new Set();
+  const visitFunnels = new Map();
+  for (const visit of visits) {
+    const id = String(visit.visit_id ?? visit.id);
+    visitIds.add(id);
+    const type = classifyVisit(visit);
+    if (type !== 'landing' && type !== 'order_form') continue;
+
+    const funnelId = funnelForVisit(visit, type, funnels);
+    if (funnelId) visitFunnels.set(id, funnelId);
+    const i = index.get(ukIsoDate(parseAffwpDate(visit.date)));
+    if (i !== undefined) add(funnelId, type === 'landing' ? 'lp_visits' : 'of_visits', i);
+  }
+
+  for (const referral of referrals) {
+    if (referral.status === 'rejected') continue;
+    const i = index.get(ukIsoDate(parseAffwpDate(referral.date)));
+    if (i === undefined) continue;
+
+    const funnelId = funnelForReferral(referral, funnels, visitFunnels);
+    const paid = parseFloat(referral.amount || 0) > 0;
+    add(funnelId, 'referrals', i);
+    add(funnelId, paid ? 'paid_sales' : 'free_registrations', i);
+
+    const visitId = referral.visit_id ? String(referral.visit_id) : '';
+    if (!visitId || visitId === '0' || !visitIds.has(visitId)) add(funnelId, 'orphan_referrals', i);
+  }
+
+  return series;
+}
+
+// ─── Checks ────────────────────────────────────────────────
+
+function checkDay(key, s, i, date, config, signup) {
+  const alerts = [];
+  const alert = (check, severity, metric, expected, layer, message) =>
+    alerts.push({ date, series: key, check, severity, metric, value: s[metric][i], expected, layer, message });
+
+  const lp = s.lp_visits[i];
+  const refs = s.referrals[i];
+  const lpBaseline = median(s.lp_visits.slice(Math.max(0, i - config.baseline_days), i));
+  const refBaseline = median(s.referrals.slice(Math.max(0, i - config.baseline_days), i));
+  const floor = (baseline) => baseline * (1 - config.drop_pct / 100);
+  const trafficDropped = lpBaseline !== null && lpBaseline >= config.zero_referrals_min_lp_visits && lp < floor(lpBaseline);
+  const conversionLayer = key === 'total' ? LAYERS.attribution : signup === 'modal' ? LAYERS.signup : LAYERS.order_form;
+
+  for (const [metric, band] of Object.entries((config.bands && config.bands[key]) || {})) {
+    const value = s[metric][i];
+    const range = `${band.min ?? 0}\u2013${band.max ?? '\u221e'}`;
+    if (band.min !== undefined && value < band.min) {
+      alert('band', 'critical', metric, range, trafficDropped ? LAYERS.traffic : conversionLayer,
+        `${METRIC_LABELS[metric]} ${value}, below the ${range}/day band`);
+    } else if (band.max !== undefined && value > band.max) {
+      alert('band', 'warning', metric, range, LAYERS.spike,
+        `${METRIC_LABELS[metric]} ${value}, above the ${range}/day band`);
+    }
+  }
+
+  if (trafficDropped) {
+    alert('visit_drop', lp === 0 ? 'critical' : 'warning', 'lp_visits', `\u2265 ${Math.ceil(floor(lpBaseline))}`, LAYERS.traffic,
+      `LP visits ${lp} vs ${config.baseline_days}-day median ${lpBaseline}`);
+  }
+
+  if (lp >= config.zero_referrals_min_lp_visits && refs === 0) {
+    alert('zero_referrals', 'critical', 'referrals', '> 0', conversionLayer,
+      `No referrals from ${lp} LP visits`);
+  } else if (!trafficDropped && refBaseline !== null && refBaseline >= config.orphan_referrals_min && refs < floor(refBaseline)) {
+    alert('referral_drop', 'warning', 'referrals', `\u2265 ${Math.ceil(floor(refBaseline))}`, conversionLayer,
+      `Referrals ${refs} vs ${config.baseline_days}-day median ${refBaseline} while LP visits held at ${lp}`);
+  }
+
+  const orphans = s.orphan_referrals[i];
+  if (orphans >= config.orphan_referrals_min && refs > 0 && orphans / refs * 100 > config.orphan_referrals_max_pct) {
+    alert('orphan_referrals', 'warning', 'orphan_referrals', `\u2264 ${config.orphan_referrals_max_pct}%`, LAYERS.visit_link,
+      `${orphans} of ${refs} referrals (${Math.round(orphans / refs * 100)}%) have no matching visit`);
+  }
+
+  return alerts;
+}
+
+// ─── Helpers ───────────────────────────────────────────────
+
+// Median of at least 3 values, else null (not enough history to judge)
+function median(values) {
+  if (values.length < 3) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ISO UK dates of the whole days from `start` up to (not including) `end`
+function ukDays(start, end) {
+  const days = [];
+  let day = ukIsoDate(start);
+  while (ukDayBounds(day).start < new Date(end)) {
+    days.push(day);
+    day = ukIsoDate(ukDayBounds(day).end);
+  }
+  return days;
+}
+
+function shiftDays(date, days) {
+  let day = ukIsoDate(date);
+  for (let n = 0; n < Math.abs(days); n++) {
+    day = days < 0 ? ukIsoDate(new Date(ukDayBounds(day).start.getTime() - 1)) : ukIsoDate(ukDayBounds(day).end);
+  }
+  return ukDayBounds(day).start;
+}
@@ -0,0 +1,155 @@
+/**
+ * Report periods and timezone handling.
+ *
+ * We report in UK time: --from/--to dates are whole UK calendar days
+ * (midnight Europe/London, so BST/GMT switches are handled), and report
+ * headings show UK dates regardless of the machine's timezone.
+ *
+ * A period is { start, end, days } where start is inclusive and end is
+ * exclusive — `--to 2026-10-18` ends at 00:00 UK time on the 19th.
+ */
+
+export const REPORT_TIMEZONE = 'Europe/London';
+
+export const COMPARE_MODES = ['previous', 'yoy'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const AFFWP_DATE = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+
+/**
+ * Parse an AffiliateWP record date. The REST API returns MySQL-style
+ * 'YYYY-MM-DD HH:MM:SS' in UTC (no zone marker), which `new Date()` would
+ * otherwise read as machine-local time.
+ */
+export function parseAffwpDate(value) {
+  const m = AFFWP_DATE.exec(value || '');
+  if (m) return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]));
+  return new Date(value);
+}
+
+/**
+ * Resolve CLI options into a period.
+ *
+ *   --from [--to]  whole UK days, `to` inclusive (defaults to now)
+ *   --to only      the `days` UK days ending on `to`
+ *   neither        rolling `days` x 24h back from now (the original behaviour)
+ */
+export function resolvePeriod({ from, to, days = 7, now = new Date() }) {
+  if (!from && !to) {
+    return { start: new Date(now.getTime() - days * DAY_MS), end: now, days };
+  }
+
+  const end = to ? shiftUkDays(ukMidnight(to), 1) : now;
+  const start = from ? ukMidnight(from) : shiftUkDays(end, -days);
+  if (end <= start) {
+    throw new Error(`--to (${to}) must not be before --from (${from})`);
+  }
+
+  return { start, end, days: Math.round((end - start) / DAY_MS) };
+}
+
+/**
+ * The period to compare against:
+ *   previous — the same number of days immediately before
+ *   yoy      — the same UK calendar dates one year earlier
+ */
+export function comparisonPeriod(period, mode) {
+  if (mode === 'previous') {
+    return { start: shiftUkDays(period.start, -period.days), end: period.start, days: period.days };
+  }
+  if (mode === 'yoy') {
+    return { start: shiftUkYears(period.start, -1), end: shiftUkYears(period.end, -1), days: period.days };
+  }
+  throw new Error(`Unknown --compare "${mode}". Use one of: ${COMPARE_MODES.join(', ')}`);
+}
+
+/**
+ * UK calendar date of an instant, e.g. '19 Oct 2026'.
+ */
+export function formatUkDate(date) {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'short', year: 'numeric', timeZone: REPORT_TIMEZONE,
+  });
+}
+
+/**
+ * UK calendar date of an instant as ISO 'YYYY-MM-DD' (for --from/--to).
+ */
+export function ukIsoDate(date) {
+  const p = ukParts(new Date(date));
+  return `${p.year}-${String(p.month + 1).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Bounds of one UK calendar day ('2026-10-12') as { start, end } instants
+ * (23 or 25 hours long on BST switch days).
+ */
+export function ukDayBounds(isoDate) {
+  const start = ukMidnight(isoDate);
+  return { start, end: shiftUkDays(start, 1) };
+}
+
+/**
+ * Heading label for a period. The end is exclusive, so show the last
+ * instant inside it — `--to 2026-10-18` reads "… → 18 Oct 2026".
+ */
+export function formatPeriod(period) {
+  const start = new Date(period.start);
+  const lastInstant = new Date(new Date(period.end).getTime() - 1);
+  return `${formatUkDate(start)} \u2192 ${formatUkDate(lastInstant)}`;
+}
+
+// ─── UK wall-clock arithmetic ──────────────────────────────
+
+/**
+ * 00:00 UK time on an ISO date ('2026-10-12').
+ */
+function ukMidnight(isoDate) {
+  const m = ISO_DATE.exec(isoDate);
+  if (!m) throw new Error(`Invalid date "${isoDate}" \u2014 use YYYY-MM-DD`);
+  return ukWallClockToDate(+m[1], +m[2] - 1, +m[3], 0, 0, 0);
+}
+
+function shiftUkDays(date, days) {
+  const p = ukParts(date);
+  return ukWallClockToDate(p.year, p.month, p.day + days, p.hour, p.minute, p.second);
+}
+
+function shiftUkYears(date, years) {
+  const p = ukParts(date);
+  // 29 Feb -> 28 Feb rather than rolling over into March
+  const lastDay = new Date(Date.UTC(p.year + years, p.month + 1, 0)).getUTCDate();
+  return ukWallClockToDate(p.year + years, p.month, Math.min(p.day, lastDay), p.hour, p.minute, p.second);
+}
+
+const ukFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: REPORT_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric', month: 'numeric', day: 'numeric',
+  hour: 'numeric', minute: 'numeric', second: 'numeric',
+});
+
+function ukParts(date) {
+  const parts = {};
+  for (const { type, value } of ukFormatter.formatToParts(date)) parts[type] = +value;
+  return {
+    year: parts.year, month: parts.month - 1, day: parts.day,
+    hour: parts.hour, minute: parts.minute, second: parts.second,
+  };
+}
+
+// UK offset from UTC at an instant, in ms (0 in winter, +1h in BST)
+function ukOffset(date) {
+  const p = ukParts(date);
+  const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function ukWallClockToDate(year, month, day, hour, minute, second) {
+  const guess = Date.UTC(year, month, day, hour, minute, second);
+  // Two passes settle the offset either side of a BST switch
+  let result = guess - ukOffset(new Date(guess));
+  result = guess - ukOffset(new Date(result));
+  return new Date(result);
+}
@@ -0,0 +1,613 @@
+/**
+ * Output formats for the weekly CRO report.
+ *
+ * Every renderer takes the report object from buildReport() (report.js)
+ * and returns a string, so the console report and the machine-readable
+ * formats can never disagree.
+ *
+ *   text      — the human console report (default)
+ *   json      — the report object as-is (stable schema, see report.js)
+ *   csv       — one row per metric: section,metric,value
+ *   markdown  — tables, for pasting into docs / PRs
+ *   html      — standalone page, for email or the ads dashboard
+ *   summary   — a few plain lines, for chat webhooks (scheduled report)
+ */
+
+import { formatPeriod } from './period.js';
+
+export const FORMATS = ['text', 'json', 'csv', 'markdown', 'html', 'summary'];
+
+/**
+ * Render a report in the given format.
+ */
+export function renderReport(report, format = 'text') {
+  switch (format) {
+    case 'text': return renderText(report);
+    case 'json': return JSON.stringify(report, null, 2) + '\n';
+    case 'csv': return renderCsv(report);
+    case 'markdown': return renderMarkdown(report);
+    case 'html': return renderHtml(report);
+    case 'summary': return renderSummary(report);
+    default:
+      throw new Error(`Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+// ─── Shared helpers ────────────────────────────────────────
+
+const fmt = (n) => `\u00a3${n.toFixed(2)}`;
+const pct = (n) => `${n.toFixed(1)}%`;
+const check = (ok) => ok === null ? '\u2014' : ok ? '\u2705' : '\u26a0\ufe0f';
+const pad = (s, len) => s.padEnd(len);
+
+// Human labels for every metric, in display order. Shared by csv/markdown/html.
+const SECTIONS = [
+  ['raw_data', 'RAW DATA', {
+    total_visits: 'Total visits in period',
+    total_referrals: 'Total referrals in period',
+    noise_visits: 'Noise filtered (/meta.json)',
+    learn_other_visits: 'learn. other pages (not OF)',
+    unclassified_visits: 'Unclassified (other domains)',
+  }],
+  ['funnel_metrics', 'FUNNEL METRICS', {
+    lp_visits: 'Landing page visits',
+    of_visits: 'Order form visits',
+    lp_to_of_rate_pct: 'LP \u2192 Order Form rate (%)',
+    lp_to_of_benchmark_pct: 'LP \u2192 Order Form benchmark (%)',
+    lp_to_of_ok: 'LP \u2192 Order Form OK',
+    free_registrations: 'Free registrations',
+    paid_sales: 'Paid sales',
+    conversions: 'Conversions',
+    of_to_conversion_rate_pct: 'Order form \u2192 Conversion rate (%)',
+    of_completion_benchmark_pct: 'Order form completion benchmark (%)',
+    of_completion_ok: 'Order form completion OK',
+    end_to_end_rate_pct: 'End-to-end conversion (%)',
+  }],
+  ['financial_metrics', 'FINANCIAL METRICS', {
+    currency: 'Currency',
+    revenue: 'Revenue',
+    aov: 'AOV',
+    revenue_per_lp_visitor: 'Revenue per LP visitor',
+    ad_spend: 'Ad spend',
+    cost_per_lead: 'Cost per lead',
+    cpa: 'CPA',
+    cost_per_lp_visitor: 'Cost per LP visitor',
+    cpa_aov_ratio: 'CPA:AOV ratio',
+    economics_ok: 'Economics OK',
+  }],
+];
+
+const BREAKDOWNS = [
+  ['landing_pages', 'Visits by landing page'],
+  ['campaigns', 'Visits by campaign'],
+  ['lp_referrers', 'LP visits by referrer'],
+  ['order_form_pages', 'Order form / registration pages'],
+  ['learn_other_pages', 'learn.urbansketch.com other pages'],
+];
+
+// Per-funnel table rows: [report section, metric, label]
+const FUNNEL_ROWS = [
+  ['funnel_metrics', 'lp_visits', 'LP visits'],
+  ['funnel_metrics', 'of_visits', 'Order form visits'],
+  ['funnel_metrics', 'lp_to_of_rate_pct', 'LP \u2192 OF rate (%)'],
+  ['funnel_metrics', 'free_registrations', 'Free registrations'],
+  ['funnel_metrics', 'paid_sales', 'Paid sales'],
+  ['funnel_metrics', 'of_to_conversion_rate_pct', 'OF \u2192 Conversion rate (%)'],
+  ['funnel_metrics', 'end_to_end_rate_pct', 'End-to-end conversion (%)'],
+  ['financial_metrics', 'revenue', 'Revenue'],
+  ['financial_metrics', 'aov', 'AOV'],
+  ['financial_metrics', 'ad_spend', 'Ad spend'],
+  ['financial_metrics', 'cost_per_lead', 'Cost per lead'],
+  ['financial_metrics', 'cpa', 'CPA'],
+];
+
+// Media table columns: [campaign field, label]
+const MEDIA_COLUMNS = [
+  ['campaign', 'Campaign'],
+  ['spend', 'Spend'],
+  ['impressions', 'Impressions'],
+  ['clicks', 'Clicks'],
+  ['cpc', 'CPC'],
+  ['ctr_pct', 'CTR (%)'],
+  ['lp_visits', 'LP visits'],
+  ['conversions', 'Conversions'],
+  ['revenue', 'Revenue'],
+  ['cost_per_conversion', 'Cost / conversion'],
+  ['roas', 'ROAS'],
+];
+
+const displayValue = (v) => v === null ? '' : typeof v === 'boolean' ? (v ? 'yes' : 'no') : String(v);
+
+const COMPARE_LABELS = {
+  previous: 'previous period',
+  yoy: 'same period last year',
+};
+
+const signed = (n) => n === null ? 'n/a' : `${n > 0 ? '+' : ''}${n}`;
+
+/**
+ * [previous, change, change %] display cells for a compared metric, or null
+ * when the report has no comparison or the metric isn't compared.
+ */
+function comparisonCells(report, section, metric) {
+  const c = report.comparison && report.comparison[section] && report.comparison[section][metric];
+  if (!c) return null;
+  return [String(c.previous), signed(c.delta), c.delta_pct === null ? 'n/a' : `${signed(c.delta_pct)}%`];
+}
+
+function comparisonHeading(report) {
+  const c = report.comparison;
+  return `vs ${COMPARE_LABELS[c.mode]} (${formatPeriod(c.period)})`;
+}
+
+// ─── Text (console) ────────────────────────────────────────
+
+function renderText(report) {
+  const out = [];
+  const log = (line = '') => out.push(line);
+
+  const raw = report.raw_data;
+  const f = report.funnel_metrics;
+  const m = report.financial_metrics;
+  const adSpend = m.ad_spend;
+  const isFreeOnly = report.funnel_type === 'free';
+
+  log(`WEEKLY CRO REPORT: ${formatPeriod(report.period)}`);
+  log(`Funnel type: ${report.funnel_label}`);
+  log('\u2550'.repeat(55));
+  log('');
+
+  // Raw data summary
+  log('RAW DATA');
+  log(`  Total visits in period:        ${raw.total_visits}`);
+  log(`  Total referrals in period:     ${raw.total_referrals}`);
+  log(`  Noise filtered (/meta.json):   ${raw.noise_visits}`);
+  log(`  learn. other pages (not OF):   ${raw.learn_other_visits}`);
+  log(`  Unclassified (other domains):  ${raw.unclassified_visits}`);
+  log('');
+
+  log('FUNNEL METRICS');
+  log(`  Landing page visits:           ${pad(f.lp_visits.toString(), 6)} (go. + www. excl. noise)`);
+  log(`  Order form visits:             ${pad(f.of_visits.toString(), 6)} (learn.urbansketch.com)`);
+  log(`  LP \u2192 Order Form rate:          ${pad(pct(f.lp_to_of_rate_pct), 8)} (benchmark: >${f.lp_to_of_benchmark_pct}%)  ${check(f.lp_to_of_ok)}`);
+  log('');
+
+  if (report.funnel_type === 'free') {
+    log(`  Free registrations:            ${pad(f.free_registrations.toString(), 6)} (amount = \u00a30.00)`);
+    log(`  Order form \u2192 Registration:     ${pad(pct(f.of_to_conversion_rate_pct), 8)} (benchmark: >${f.of_completion_benchmark_pct}%)  ${check(f.of_completion_ok)}`);
+  } else if (report.funnel_type === 'paid') {
+    log(`  Paid sales:                    ${pad(f.paid_sales.toString(), 6)}`);
+    log(`  Order form \u2192 Purchase rate:    ${pad(pct(f.of_to_conversion_rate_pct), 8)} (benchmark: >${f.of_completion_benchmark_pct}%)  ${check(f.of_completion_ok)}`);
+  } else if (report.funnel_type === 'mixed') {
+    log(`  Free registrations:            ${pad(f.free_registrations.toString(), 6)}`);
+    log(`  Paid sales:                    ${pad(f.paid_sales.toString(), 6)}`);
+    log(`  Order form \u2192 Conversion rate:  ${pad(pct(f.of_to_conversion_rate_pct), 8)} (benchmark: >${f.of_completion_benchmark_pct}%)  ${check(f.of_completion_ok)}`);
+  } else {
+    log(`  Conversions:                   0`);
+  }
+  log('');
+  log(`  End-to-end conversion:         ${pct(f.end_to_end_rate_pct)}`);
+  log('');
+
+  log('FINANCIAL METRICS');
+  if (f.paid_sales > 0) {
+    log(`  Revenue (from AffiliateWP):    ${fmt(m.revenue)}`);
+    log(`  AOV:                           ${fmt(m.aov)}`);
+    log(`  Revenue per LP visitor:        ${f.lp_visits > 0 ? fmt(m.revenue_per_lp_visitor) : 'N/A'}`);
+  } else {
+    log(`  Revenue:                       \u00a30.00 (free funnel \u2014 no revenue tracked)`);
+  }
+  if (adSpend > 0) {
+    log(`  Ad spend (${report.media ? 'from --ads' : 'input'}):${report.media ? '         ' : '              '}${fmt(adSpend)}`);
+    if (f.free_registrations > 0) {
+      log(`  Cost per lead (free reg):      ${fmt(m.cost_per_lead)}`);
+    }
+    if (f.paid_sales > 0) {
+      log(`  CPA (paid sales):              ${fmt(m.cpa)}`);
+    }
+    log(`  Cost per LP visitor:           ${fmt(m.cost_per_lp_visitor)}`);
+    if (f.paid_sales > 0) {
+      log('');
+      log(`  CPA:AOV RATIO: ${m.cpa_aov_ratio.toFixed(2)}:1  ${check(m.economics_ok)}`);
+    }
+  }
+  log('');
+
+  if (report.comparison) {
+    log(`PERIOD COMPARISON ${comparisonHeading(report)}`);
+    log(`  ${pad('', 36)}${pad('This period', 13)}${pad('Previous', 13)}${pad('Change', 12)}Change %`);
+    for (const [key, , labels] of SECTIONS) {
+      for (const [metric, label] of Object.entries(labels)) {
+        const cells = comparisonCells(report, key, metric);
+        if (!cells) continue;
+        log(`  ${pad(label, 36)}${pad(String(report[key][metric]), 13)}${pad(cells[0], 13)}${pad(cells[1], 12)}${cells[2]}`);
+      }
+    }
+    log('');
+  }
+
+  // OfferNomics diagnosis
+  log('OFFERNOMICS DIAGNOSIS');
+  const media = report.media;
+  if (media) {
+    log(`  \u251c\u2500 Media performance:    Spend ${fmt(media.spend)}, CPC ${fmt(media.cpc)}, CTR ${pct(media.ctr_pct)} (${media.campaigns.length} campaigns)`);
+    for (const c of media.campaigns) {
+      const cpa = c.cost_per_conversion === null ? 'no conversions' : `${fmt(c.cost_per_conversion)}/conv`;
+      log(`  \u2502                        ${c.campaign}: ${fmt(c.spend)}, CPC ${fmt(c.cpc)}, CTR ${pct(c.ctr_pct)}, ${c.lp_visits} LP visits, ${c.conversions} conv (${cpa})`);
+    }
+  } else {
+    log(`  \u251c\u2500 Media performance:    [Provide --ads <Meta CSV | GoMarble JSON> for spend, CPC, CTR]`);
+  }
+
+  if (f.lp_visits === 0) {
+    log(`  \u251c\u2500 Campaign performance: No LP visits recorded \u26a0\ufe0f`);
+    log(`  \u2502                        Check affiliate tracking is firing on ad landing pages`);
+  } else if (f.lp_to_of_ok) {
+    log(`  \u251c\u2500 Campaign performance: LP\u2192Order form at ${pct(f.lp_to_of_rate_pct)} ${check(f.lp_to_of_ok)} above ${f.lp_to_of_benchmark_pct}%`);
+  } else {
+    log(`  \u251c\u2500 Campaign performance: LP\u2192Order form at ${pct(f.lp_to_of_rate_pct)} ${check(f.lp_to_of_ok)} below ${f.lp_to_of_benchmark_pct}%`);
+  }
+
+  if (f.of_visits === 0) {
+    log(`  \u251c\u2500                       No order form visits recorded`);
+  } else if (f.of_completion_ok) {
+    log(`  \u251c\u2500                       Order form completion at ${pct(f.of_to_conversion_rate_pct)} ${check(f.of_completion_ok)} above ${f.of_completion_benchmark_pct}%`);
+  } else {
+    log(`  \u251c\u2500                       Order form completion at ${pct(f.of_to_conversion_rate_pct)} ${check(f.of_completion_ok)} below ${f.of_completion_benchmark_pct}%`);
+  }
+
+  if (adSpend > 0 && f.paid_sales > 0) {
+    if (m.economics_ok) {
+      log(`  \u2514\u2500 Economic performance: CPA (${fmt(m.cpa)}) \u2264 AOV (${fmt(m.aov)}) ${check(m.economics_ok)}`);
+    } else {
+      log(`  \u2514\u2500 Economic performance: CPA (${fmt(m.cpa)}) > AOV (${fmt(m.aov)}) ${check(m.economics_ok)}`);
+    }
+  } else if (adSpend > 0 && isFreeOnly) {
+    log(`  \u2514\u2500 Economic performance: Free funnel \u2014 cost per lead: ${fmt(m.cost_per_lead)} [provide --ad-spend for CPA]`);
+  } else {
+    log(`  \u2514\u2500 Economic performance: [Provide --ad-spend to calculate]`);
+  }
+
+  log('');
+
+  // Constraint identification — every failing check, in rule order
+  log('CONSTRAINT IDENTIFICATION');
+  report.constraints.forEach((c, n) => {
+    if (n > 0) log('');
+    log(`  ${c.category} \u2014 ${c.summary}`);
+    c.actions.forEach((action, i) => log(`${i === 0 ? '  ACTION: ' : '          '}${action}`));
+  });
+
+  if (report.funnels) {
+    log('');
+    renderFunnelsText(report, log);
+  }
+
+  log('');
+  log('\u2500'.repeat(55));
+
+  const b = report.breakdowns;
+
+  // Breakdown by landing page URL (top pages)
+  if (b.landing_pages.length > 0) {
+    log('\nVISITS BY LANDING PAGE:');
+    for (const { key, count } of b.landing_pages) log(`  ${key}: ${count}`);
+  }
+
+  // Breakdown by campaign (if any)
+  if (b.campaigns.some(r => r.key !== '(no campaign)')) {
+    log('\nVISITS BY CAMPAIGN:');
+    for (const { key, count } of b.campaigns) log(`  ${key}: ${count}`);
+  }
+
+  // Breakdown by referrer domain
+  if (b.lp_referrers.length > 1 || (b.lp_referrers.length === 1 && b.lp_referrers[0].key !== '(direct)')) {
+    log('\nLP VISITS BY REFERRER:');
+    for (const { key, count } of b.lp_referrers) log(`  ${key}: ${count}`);
+  }
+
+  // Order form page breakdown
+  if (b.order_form_pages.length > 0) {
+    log('\nORDER FORM / REGISTRATION PAGES:');
+    for (const { key, count } of b.order_form_pages) log(`  ${key}: ${count}`);
+  }
+
+  // learn.urbansketch.com other pages (not order forms — for diagnostic purposes)
+  if (raw.learn_other_visits > 0) {
+    log(`\nlearn.urbansketch.com OTHER (${raw.learn_other_visits} visits, not counted as order form):`);
+    for (const { key, count } of b.learn_other_pages) log(`  ${key}: ${count}`);
+  }
+
+  return out.join('\n') + '\n';
+}
+
+function renderFunnelsText(report, log) {
+  log('PER-FUNNEL BREAKDOWN');
+  for (const funnel of report.funnels) {
+    const f = funnel.funnel_metrics;
+    const m = funnel.financial_metrics;
+    log('');
+    log(`  ${funnel.label.toUpperCase()} (${funnel.id}) \u2014 ${funnel.funnel_label}`);
+    if (funnel.signup === 'modal') {
+      log(`    LP visits: ${f.lp_visits}   Registrations: ${f.free_registrations}   LP \u2192 Registration: ${pct(f.end_to_end_rate_pct)}   (modal signup)`);
+    } else {
+      log(`    LP visits: ${f.lp_visits}   Order form visits: ${f.of_visits}   LP \u2192 OF: ${pct(f.lp_to_of_rate_pct)} (>${f.lp_to_of_benchmark_pct}%) ${check(f.lp_to_of_ok)}`);
+      log(`    Conversions: ${f.conversions} (${f.free_registrations} free, ${f.paid_sales} paid)   OF \u2192 Conversion: ${pct(f.of_to_conversion_rate_pct)} (>${f.of_completion_benchmark_pct}%) ${check(f.of_completion_ok)}`);
+      log(`    End-to-end: ${pct(f.end_to_end_rate_pct)}   Revenue: ${fmt(m.revenue)}   AOV: ${fmt(m.aov)}`);
+    }
+    if (m.ad_spend > 0) {
+      const costs = [f.free_registrations > 0 ? `cost per lead ${fmt(m.cost_per_lead)}` : '', f.paid_sales > 0 ? `CPA ${fmt(m.cpa)}` : '']
+        .filter(Boolean).join(', ');
+      log(`    Ad spend: ${fmt(m.ad_spend)}${costs ? `   (${costs})` : ''}`);
+    }
+    for (const c of funnel.constraints) {
+      log(`    ${c.category} \u2014 ${c.summary}`);
+      c.actions.forEach((action, i) => log(`${i === 0 ? '    ACTION: ' : '            '}${action}`));
+    }
+  }
+
+  const u = report.unmapped;
+  if (u.lp_visits || u.of_visits || u.referrals || u.ad_spend) {
+    log('');
+    log(`  Not in any funnel (see scripts/funnels.json): ${u.lp_visits} LP visits, ${u.of_visits} order form visits, ${u.referrals} referrals${u.ad_spend ? `, ${fmt(u.ad_spend)} ad spend` : ''}`);
+  }
+}
+
+// ─── Summary ───────────────────────────────────────────────
+
+// Headline numbers, the constraints and one line per funnel — short enough
+// for a Slack/Teams message. Deltas are shown when the report was compared.
+function renderSummary(report) {
+  const f = report.funnel_metrics;
+  const m = report.financial_metrics;
+  const delta = (section, metric) => {
+    const cells = comparisonCells(report, section, metric);
+    return cells && cells[2] !== 'n/a' ? ` (${cells[2]})` : '';
+  };
+
+  const lines = [`Weekly CRO report: ${formatPeriod(report.period)} \u2014 ${report.funnel_label}`];
+  lines.push(`LP visits ${f.lp_visits}${delta('funnel_metrics', 'lp_visits')}, `
+    + `conversions ${f.conversions}${delta('funnel_metrics', 'conversions')} `
+    + `(${f.free_registrations} free, ${f.paid_sales} paid), end-to-end ${pct(f.end_to_end_rate_pct)}`);
+  lines.push(`Revenue ${fmt(m.revenue)}${delta('financial_metrics', 'revenue')}`
+    + (m.ad_spend > 0 ? `, ad spend ${fmt(m.ad_spend)}, CPA ${fmt(m.cpa)}` : ''));
+  if (report.comparison) lines.push(`Changes ${comparisonHeading(report)}`);
+  for (const c of report.constraints) lines.push(`${c.category} \u2014 ${c.summary}`);
+  for (const funnel of report.funnels || []) {
+    const fm = funnel.funnel_metrics;
+    lines.push(`\u2022 ${funnel.label}: ${fm.lp_visits} LP visits, ${fm.conversions} conversions, `
+      + `${pct(fm.end_to_end_rate_pct)} \u2014 ${funnel.constraints.map(c => c.summary).join('; ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ─── CSV ───────────────────────────────────────────────────
+
+// With --compare, metric rows gain previous,delta,delta_pct columns.
+function renderCsv(report) {
+  const rows = [['section', 'metric', 'value']];
+  if (report.comparison) rows[0].push('previous', 'delta', 'delta_pct');
+
+  rows.push(['period', 'start', report.period.start]);
+  rows.push(['period', 'end', report.period.end]);
+  rows.push(['period', 'days', report.period.days]);
+  rows.push(['period', 'timezone', report.period.timezone]);
+  if (report.comparison) {
+    rows.push(['comparison', 'mode', report.comparison.mode]);
+    rows.push(['comparison', 'start', report.comparison.period.start]);
+    rows.push(['comparison', 'end', report.comparison.period.end]);
+  }
+  rows.push(['summary', 'funnel_type', report.funnel_type]);
+
+  for (const [key] of SECTIONS) {
+    for (const [metric, value] of Object.entries(report[key])) {
+      const c = report.comparison && report.comparison[key] && report.comparison[key][metric];
+      rows.push(c
+        ? [key, metric, displayValue(value), c.previous, c.delta, displayValue(c.delta_pct)]
+        : [key, metric, displayValue(value)]);
+    }
+  }
+
+  // The first constraint keeps the plain "constraint" section; any further
+  // failing checks follow as constraint_2, constraint_3, ...
+  report.constraints.forEach((c, n) => {
+    const section = n === 0 ? 'constraint' : `constraint_${n + 1}`;
+    rows.push([section, 'type', c.type]);
+    rows.push([section, 'category', c.category]);
+    rows.push([section, 'summary', c.summary]);
+    c.actions.forEach((action, i) => rows.push([section, `action_${i + 1}`, action]));
+  });
+
+  for (const funnel of report.funnels || []) {
+    const section = `funnel:${funnel.id}`;
+    rows.push([section, 'funnel_type', funnel.funnel_type]);
+    for (const key of ['funnel_metrics', 'financial_metrics']) {
+      for (const [metric, value] of Object.entries(funnel[key])) {
+        rows.push([section, metric, displayValue(value)]);
+      }
+    }
+    funnel.constraints.forEach((c, n) => {
+      const prefix = n === 0 ? 'constraint' : `constraint_${n + 1}`;
+      rows.push([section, `${prefix}_type`, c.type]);
+      rows.push([section, `${prefix}_summary`, c.summary]);
+    });
+  }
+  if (report.unmapped) {
+    for (const [metric, value] of Object.entries(report.unmapped)) rows.push(['unmapped', metric, value]);
+  }
+
+  if (report.media) {
+    for (const metric of ['spend', 'impressions', 'clicks', 'cpc', 'ctr_pct']) {
+      rows.push(['media', metric, report.media[metric]]);
+    }
+    for (const c of report.media.campaigns) {
+      for (const [field] of MEDIA_COLUMNS.slice(1)) {
+        rows.push([`campaign:${c.campaign}`, field, displayValue(c[field])]);
+      }
+    }
+  }
+
+  for (const [key] of BREAKDOWNS) {
+    for (const { key: label, count } of report.breakdowns[key]) {
+      rows.push([key, label, count]);
+    }
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// ─── Markdown ──────────────────────────────────────────────
+
+function renderMarkdown(report) {
+  const out = [];
+  const mdCell = (v) => displayValue(v).replace(/\|/g, '\\|');
+
+  out.push(`# Weekly CRO Report: ${formatPeriod(report.period)}`);
+  out.push('');
+  out.push(`**Funnel type:** ${report.funnel_label}`);
+  if (report.comparison) out.push('', `**Compared ${comparisonHeading(report)}**`);
+
+  for (const [key, title, labels] of SECTIONS) {
+    const compared = Boolean(report.comparison && report.comparison[key]);
+    out.push('', `## ${titleCase(title)}`, '');
+    out.push(compared ? '| Metric | Value | Previous | Change | Change % |' : '| Metric | Value |');
+    out.push(compared ? '| --- | --- | --- | --- | --- |' : '| --- | --- |');
+    for (const [metric, label] of Object.entries(labels)) {
+      const cells = compared ? (comparisonCells(report, key, metric) || ['', '', '']) : [];
+      out.push(`| ${[label, report[key][metric], ...cells].map(mdCell).join(' | ')} |`);
+    }
+  }
+
+  if (report.media) {
+    const m = report.media;
+    out.push('', '## Media Performance', '', `Spend ${fmt(m.spend)}, CPC ${fmt(m.cpc)}, CTR ${pct(m.ctr_pct)}`, '');
+    out.push(`| ${MEDIA_COLUMNS.map(([, label]) => label).join(' | ')} |`);
+    out.push(`| ${MEDIA_COLUMNS.map(() => '---').join(' | ')} |`);
+    for (const c of m.campaigns) out.push(`| ${MEDIA_COLUMNS.map(([field]) => mdCell(c[field])).join(' | ')} |`);
+  }
+
+  out.push('', '## Constraint Identification');
+  for (const c of report.constraints) {
+    out.push('', `**${c.category}** \u2014 ${c.summary}`, '');
+    for (const action of c.actions) out.push(`- ${action}`);
+  }
+
+  if (report.funnels) {
+    out.push('', '## Per-Funnel Breakdown', '');
+    out.push(`| Metric | ${report.funnels.map(f => mdCell(f.label)).join(' | ')} |`);
+    out.push(`| --- | ${report.funnels.map(() => '---').join(' | ')} |`);
+    for (const [section, metric, label] of FUNNEL_ROWS) {
+      out.push(`| ${[label, ...report.funnels.map(f => f[section][metric])].map(mdCell).join(' | ')} |`);
+    }
+    out.push('');
+    for (const f of report.funnels) {
+      for (const c of f.constraints) {
+        out.push(`- **${mdCell(f.label)}:** ${c.category} \u2014 ${c.summary} ${c.actions.join(' ')}`);
+      }
+    }
+    const u = report.unmapped;
+    out.push('', `_Not in any funnel: ${u.lp_visits} LP visits, ${u.of_visits} order form visits, ${u.referrals} referrals._`);
+  }
+
+  for (const [key, title] of BREAKDOWNS) {
+    const rows = report.breakdowns[key];
+    if (!rows.length) continue;
+    out.push('', `### ${title}`, '', '| | Visits |', '| --- | ---: |');
+    for (const { key: label, count } of rows) out.push(`| ${mdCell(label)} | ${count} |`);
+  }
+
+  return out.join('\n') + '\n';
+}
+
+function titleCase(s) {
+  return s.toLowerCase().replace(/\b\w/g, ch => ch.toUpperCase());
+}
+
+// ─── HTML ──────────────────────────────────────────────────
+
+function renderHtml(report) {
+  const esc = (v) => displayValue(v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const title = `Weekly CRO Report: ${formatPeriod(report.period)}`;
+
+  const sections = SECTIONS.map(([key, heading, labels]) => {
+    const compared = Boolean(report.comparison && report.comparison[key]);
+    const head = compared ? '<tr><th></th><th>Value</th><th>Previous</th><th>Change</th><th>Change %</th></tr>\n' : '';
+    const rows = Object.entries(labels)
+      .map(([metric, label]) => {
+        const cells = compared ? (comparisonCells(report, key, metric) || ['', '', '']) : [];
+        return `<tr><th>${esc(label)}</th>${[report[key][metric], ...cells].map(v => `<td>${esc(v)}</td>`).join('')}</tr>`;
+      })
+      .join('\n');
+    return `<h2>${esc(titleCase(heading))}</h2>\n<table>\n${head}${rows}\n</table>`;
+  }).join('\n');
+  const compared = report.comparison ? `<p><strong>Compared ${esc(comparisonHeading(report))}</strong></p>\n` : '';
+
+  const constraint = `<h2>Constraint Identification</h2>\n` + report.constraints
+    .map(c => `<p class="constraint constraint-${esc(c.type)}"><strong>${esc(c.category)}</strong> \u2014 ${esc(c.summary)}</p>\n`
+      + `<ul>\n${c.actions.map(a => `<li>${esc(a)}</li>`).join('\n')}\n</ul>`)
+    .join('\n');
+
+  let media = '';
+  if (report.media) {
+    const m = report.media;
+    const head = `<tr>${MEDIA_COLUMNS.map(([, label]) => `<th>${esc(label)}</th>`).join('')}</tr>`;
+    const rows = m.campaigns
+      .map(c => `<tr>${MEDIA_COLUMNS.map(([field], i) => (i === 0 ? `<th>${esc(c[field])}</th>` : `<td>${esc(c[field])}</td>`)).join('')}</tr>`)
+      .join('\n');
+    media = `<h2>Media Performance</h2>\n<p>Spend ${esc(fmt(m.spend))}, CPC ${esc(fmt(m.cpc))}, CTR ${esc(pct(m.ctr_pct))}</p>\n<table>\n${head}\n${rows}\n</table>\n`;
+  }
+
+  let funnels = '';
+  if (report.funnels) {
+    const head = `<tr><th></th>${report.funnels.map(f => `<th>${esc(f.label)}</th>`).join('')}</tr>`;
+    const rows = FUNNEL_ROWS
+      .map(([section, metric, label]) => `<tr><th>${esc(label)}</th>${report.funnels.map(f => `<td>${esc(f[section][metric])}</td>`).join('')}</tr>`)
+      .join('\n');
+    const constraints = report.funnels
+      .flatMap(f => f.constraints.map(c => `<li class="constraint-${esc(c.type)}"><strong>${esc(f.label)}:</strong> ${esc(c.category)} \u2014 ${esc(c.summary)} ${esc(c.actions.join(' '))}</li>`))
+      .join('\n');
+    const u = report.unmapped;
+    funnels = `<h2>Per-Funnel Breakdown</h2>\n<table>\n${head}\n${rows}\n</table>\n<ul>\n${constraints}\n</ul>\n`
+      + `<p><em>Not in any funnel: ${u.lp_visits} LP visits, ${u.of_visits} order form visits, ${u.referrals} referrals.</em></p>`;
+  }
+
+  const breakdowns = BREAKDOWNS
+    .filter(([key]) => report.breakdowns[key].length)
+    .map(([key, heading]) => {
+      const rows = report.breakdowns[key]
+        .map(({ key: label, count }) => `<tr><th>${esc(label)}</th><td>${count}</td></tr>`)
+        .join('\n');
+      return `<h3>${esc(heading)}</h3>\n<table>\n${rows}\n</table>`;
+    }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+<style>
+  body { font-family: 'Source Sans 3', system-ui, sans-serif; color: #2D2D2D; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+  th, td { text-align: left; padding: .35rem .6rem; border-bottom: 1px solid #E5E1DB; }
+  td { text-align: right; font-variant-numeric: tabular-nums; }
+  .constraint { padding: .75rem 1rem; background: #FFF4E0; border-left: 4px solid #E8A33D; }
+  .constraint-none { background: #E6F4F1; border-left-color: #0D7377; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p><strong>Funnel type:</strong> ${esc(report.funnel_label)}</p>
+${compared}${sections}
+${media}${constraint}
+${funnels}
+${breakdowns}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,431 @@
+/**
+ * Weekly CRO report computation.
+ *
+ * buildReport() turns raw AffiliateWP visits + referrals into one plain
+ * report object. Every output format (console, JSON, CSV, Markdown, HTML —
+ * see render.js) is rendered from that object, so all consumers see the
+ * same numbers. Field names are snake_case and part of a stable schema:
+ * bump REPORT_SCHEMA_VERSION when renaming or removing a field.
+ *
+ * With a funnel map (funnels.js), `funnels[]` repeats the funnel, financial
+ * and constraint blocks per funnel and `unmapped` counts what matched none.
+ * With ad data (ads.js), `media` holds spend/CPC/CTR per campaign joined to
+ * the AffiliateWP visits and referrals carrying that campaign.
+ *
+ * Benchmarks and constraint checks come from the rules file (rules.js).
+ * `constraints` lists every failing check in rule order; `constraint` is
+ * the first of them, kept for consumers that only show one.
+ *
+ * Rates are percentages (3.5 = 3.5%), money is in GBP to 2 decimals.
+ * Period bounds are ISO instants; start is inclusive, end exclusive, and
+ * dates are reported in UK time (see period.js).
+ */
+
+import { REPORT_TIMEZONE } from './period.js';
+import { funnelForVisit, funnelForReferral } from './funnels.js';
+import { matchesCampaign } from './ads.js';
+import { rulesForFunnel, evaluateRules } from './rules.js';
+
+export const REPORT_SCHEMA_VERSION = 1;
+
+// ─── URL classification ───────────────────────────────────
+// Based on real API data analysis (Feb 2026):
+//
+// Landing pages:
+//   go.urbansketchcourse.com/*         — Cloudflare static pages
+//   www.urbansketchcourse.com/courses/* — WordPress course pages
+//   www.urbansketchcourse.com/smm/*    — Social media marketing landing pages
+//   www.urbansketchcourse.com/world-sketcher-collection/* — Collection page
+//
+// Order/registration forms (on learn.urbansketch.com):
+//   /reg/*                — Free course registration forms
+//   /smm/buy-*            — SMM purchase pages
+//   /buy/*                — Direct purchase pages
+//   /join-today/*         — Join pages
+//   /products/*/order-form/* — Product order forms
+//
+// Noise:
+//   www.urbansketchcourse.com/meta.json — Automated meta requests (~74% of all visits)
+//
+// Other learn.urbansketch.com pages (student content, T&C, etc.) are classified
+// as 'learn_other' — tracked separately but not counted as order form visits.
+
+export function classifyVisit(visit) {
+  if (!visit.url) return 'other';
+  try {
+    const u = new URL(visit.url);
+    const host = u.hostname;
+    const path = u.pathname.replace(/\/$/, ''); // normalise trailing slash
+
+    // Static landing pages on Cloudflare
+    if (host === 'go.urbansketchcourse.com') return 'landing';
+
+    // WordPress landing pages
+    if (host === 'www.urbansketchcourse.com') {
+      if (path === '/meta.json') return 'noise';
+      return 'landing';
+    }
+
+    // learn.urbansketch.com — separate order forms from other pages
+    if (host === 'learn.urbansketch.com') {
+      if (path.startsWith('/reg')) return 'order_form';
+      if (path.startsWith('/smm/buy')) return 'order_form';
+      if (path.startsWith('/buy')) return 'order_form';
+      if (path.startsWith('/join-today')) return 'order_form';
+      if (path.includes('/order-form')) return 'order_form';
+      if (path.startsWith('/plus') && path.includes('coaching')) return 'order_form';
+      return 'learn_other'; // student content, T&C, privacy, courses, etc.
+    }
+
+    return 'other';
+  } catch {
+    return 'other';
+  }
+}
+
+// ─── Report ────────────────────────────────────────────────
+
+/**
+ * Compute the weekly CRO report.
+ *
+ * options: { visits, referrals, adSpend, startDate, endDate, days, funnels, ads, rules }
+ * `rules` is the rules file from rules.js — benchmarks and constraint
+ * checks for the blended report and each funnel.
+ * `funnels` is the funnel map from funnels.js; when given, the report also
+ * carries a per-funnel breakdown (`funnels[]` plus `unmapped` counts).
+ * `ads` is summarizeAds() output for the period (ads.js); when given, its
+ * spend replaces `adSpend` and the report carries a `media` block.
+ * Returns the report object described at the top of this file.
+ */
+export function buildReport({ visits, referrals, adSpend = 0, startDate, endDate, days, funnels = [], ads = null, rules = null }) {
+  // Classify all visits
+  const classified = visits.map(v => ({ ...v, _type: classifyVisit(v) }));
+  const lpVisits = classified.filter(v => v._type === 'landing');
+  const orderFormVisits = classified.filter(v => v._type === 'order_form');
+  const noiseVisits = classified.filter(v => v._type === 'noise');
+  const learnOtherVisits = classified.filter(v => v._type === 'learn_other');
+  const otherVisits = classified.filter(v => v._type === 'other');
+
+  const media = ads ? joinAds(ads, lpVisits, orderFormVisits, referrals) : null;
+  const totalSpend = ads ? ads.spend : adSpend;
+  const blended = computeFunnel({ lpVisits, orderFormVisits, referrals, adSpend: totalSpend, ruleset: rulesForFunnel(rules) });
+
+  return {
+    schema_version: REPORT_SCHEMA_VERSION,
+    generated_at: new Date().toISOString(),
+    period: {
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+      days,
+      timezone: REPORT_TIMEZONE,
+    },
+    funnel_type: blended.funnel_type,
+    funnel_label: blended.funnel_label,
+
+    raw_data: {
+      total_visits: visits.length,
+      total_referrals: referrals.length,
+      noise_visits: noiseVisits.length,
+      learn_other_visits: learnOtherVisits.length,
+      unclassified_visits: otherVisits.length,
+    },
+
+    funnel_metrics: blended.funnel_metrics,
+    financial_metrics: blended.financial_metrics,
+    constraint: blended.constraint,
+    constraints: blended.constraints,
+
+    ...(media ? { media } : {}),
+    ...(funnels.length ? splitByFunnel(funnels, lpVisits, orderFormVisits, referrals, media, rules) : {}),
+
+    breakdowns: {
+      landing_pages: countBy(lpVisits, v => { const u = new URL(v.url); return u.hostname + u.pathname; }).slice(0, 15),
+      campaigns: countBy(lpVisits, v => v.campaign || '(no campaign)'),
+      lp_referrers: countBy(lpVisits, v => {
+        if (!v.referrer) return '(direct)';
+        try { return new URL(v.referrer).hostname; } catch { return '(other)'; }
+      }).slice(0, 10),
+      order_form_pages: countBy(orderFormVisits, v => new URL(v.url).pathname),
+      learn_other_pages: countBy(learnOtherVisits, v => new URL(v.url).pathname).slice(0, 10),
+    },
+  };
+}
+
+/**
+ * Funnel, financial and constraint metrics for one set of LP visits, order
+ * form visits and referrals — the whole site (blended) or a single funnel.
+ *
+ * `modal` funnels register on the LP itself, so the LP->OF and OF
+ * completion metrics don't apply and come back as null.
+ * `ruleset` is rulesForFunnel() output: the benchmarks and ordered checks
+ * the constraints are judged by.
+ */
+function computeFunnel({ lpVisits, orderFormVisits, referrals, adSpend = 0, modal = false, ruleset }) {
+  // Separate referrals into free (lead gen) and paid (revenue)
+  const freeReferrals = referrals.filter(r =>
+    (r.status === 'paid' || r.status === 'unpaid' || r.status === 'pending') &&
+    parseFloat(r.amount || 0) === 0
+  );
+  const paidReferrals = referrals.filter(r =>
+    (r.status === 'paid' || r.status === 'unpaid') &&
+    parseFloat(r.amount || 0) > 0
+  );
+
+  // For the main funnel report, "conversions" = all non-rejected referrals
+  // In a free funnel, a conversion = a registration
+  // In a paid funnel, a conversion = a purchase
+  const allConversions = referrals.filter(r => r.status !== 'rejected');
+  const totalRevenue = paidReferrals.reduce((sum, r) => sum + parseFloat(r.amount || 0), 0);
+
+  // Calculations
+  const lpCount = lpVisits.length;
+  const ofCount = orderFormVisits.length;
+  const conversionCount = allConversions.length;
+  const paidCount = paidReferrals.length;
+  const freeCount = freeReferrals.length;
+
+  const lpToOfRate = lpCount > 0 ? (ofCount / lpCount * 100) : 0;
+  const ofToConversionRate = ofCount > 0 ? (conversionCount / ofCount * 100) : 0;
+  const endToEnd = lpCount > 0 ? (conversionCount / lpCount * 100) : 0;
+
+  const aov = paidCount > 0 ? totalRevenue / paidCount : 0;
+  const cpa = adSpend > 0 && conversionCount > 0 ? adSpend / conversionCount : 0;
+  const costPerLead = adSpend > 0 && freeCount > 0 ? adSpend / freeCount : 0;
+  const revenuePerVisitor = lpCount > 0 ? totalRevenue / lpCount : 0;
+  const costPerVisitor = adSpend > 0 && lpCount > 0 ? adSpend / lpCount : 0;
+  const cpaAovRatio = aov > 0 && cpa > 0 ? cpa / aov : 0;
+
+  // Determine funnel type
+  const isFreeOnly = paidCount === 0 && freeCount > 0;
+  const isPaidOnly = paidCount > 0 && freeCount === 0;
+  const isMixed = paidCount > 0 && freeCount > 0;
+  const funnelType = isFreeOnly ? 'free' : isPaidOnly ? 'paid' : isMixed ? 'mixed' : 'none';
+
+  // OfferNomics benchmarks from the rules file (null = not applicable / not set)
+  const lpToOfBenchmark = modal ? null : ruleset.benchmarks.lp_to_of_pct ?? null;
+  const ofCompletionBenchmark = modal ? null : ruleset.benchmarks.of_completion_pct ?? null;
+  const lpToOfOk = lpToOfBenchmark === null ? null : lpToOfRate >= lpToOfBenchmark;
+  const ofCompletionOk = ofCompletionBenchmark === null ? null : ofToConversionRate >= ofCompletionBenchmark;
+  const economicsOk = adSpend > 0 && paidCount > 0 ? cpa <= aov : null; // null = can't assess
+
+  const metrics = {
+    funnel_type: funnelType,
+    funnel_metrics: {
+      lp_visits: lpCount,
+      of_visits: ofCount,
+      lp_to_of_rate_pct: modal ? null : round(lpToOfRate),
+      lp_to_of_benchmark_pct: lpToOfBenchmark,
+      lp_to_of_ok: lpToOfOk,
+      free_registrations: freeCount,
+      paid_sales: paidCount,
+      conversions: conversionCount,
+      of_to_conversion_rate_pct: modal ? null : round(ofToConversionRate),
+      of_completion_benchmark_pct: ofCompletionBenchmark,
+      of_completion_ok: ofCompletionOk,
+      end_to_end_rate_pct: round(endToEnd),
+    },
+
+    financial_metrics: {
+      currency: 'GBP',
+      revenue: round(totalRevenue),
+      aov: round(aov),
+      revenue_per_lp_visitor: round(revenuePerVisitor),
+      ad_spend: round(adSpend),
+      cost_per_lead: round(costPerLead),
+      cpa: round(cpa),
+      cost_per_lp_visitor: round(costPerVisitor),
+      cpa_aov_ratio: round(cpaAovRatio),
+      economics_ok: economicsOk,
+    },
+  };
+  const constraints = evaluateRules(ruleset, metrics);
+
+  return {
+    funnel_type: funnelType,
+    funnel_label: FUNNEL_LABELS[funnelType],
+    funnel_metrics: metrics.funnel_metrics,
+    financial_metrics: metrics.financial_metrics,
+    constraint: constraints[0],
+    constraints,
+  };
+}
+
+// ─── Per-funnel breakdown ──────────────────────────────────
+
+/**
+ * Assign LP visits, order form visits and referrals to funnels (see
+ * funnels.js) and compute each funnel's metrics.
+ *
+ * With ad data, each campaign's spend goes to the funnel most of its LP
+ * visits landed on; spend from campaigns with no mapped LP visits is
+ * reported as unmapped.ad_spend.
+ * Returns { funnels: [{ id, label, signup, ...computeFunnel() }], unmapped }.
+ */
+function splitByFunnel(funnels, lpVisits, orderFormVisits, referrals, media, rules) {
+  const groups = new Map(funnels.map(f => [f.id, { lpVisits: [], orderFormVisits: [], referrals: [], adSpend: 0 }]));
+  const unmapped = { lp_visits: 0, of_visits: 0, referrals: 0 };
+  const visitFunnels = new Map();
+
+  for (const [visits, type, key] of [[lpVisits, 'landing', 'lpVisits'], [orderFormVisits, 'order_form', 'orderFormVisits']]) {
+    for (const visit of visits) {
+      const id = funnelForVisit(visit, type, funnels);
+      if (!id) {
+        unmapped[type === 'landing' ? 'lp_visits' : 'of_visits']++;
+        continue;
+      }
+      groups.get(id)[key].push(visit);
+      visitFunnels.set(String(visit.visit_id ?? visit.id), id);
+    }
+  }
+
+  for (const referral of referrals) {
+    const id = funnelForReferral(referral, funnels, visitFunnels);
+    if (id) groups.get(id).referrals.push(referral);
+    else unmapped.referrals++;
+  }
+
+  if (media) {
+    unmapped.ad_spend = 0;
+    for (const campaign of media.campaigns) {
+      const id = mostCommon(lpVisits
+        .filter(v => matchesCampaign(campaign, v.campaign))
+        .map(v => visitFunnels.get(String(v.visit_id ?? v.id)))
+        .filter(Boolean));
+      if (id) groups.get(id).adSpend += campaign.spend;
+      else unmapped.ad_spend += campaign.spend;
+    }
+    unmapped.ad_spend = round(unmapped.ad_spend);
+  }
+
+  return {
+    funnels: funnels.map(f => ({
+      id: f.id,
+      label: f.label,
+      signup: f.signup,
+      ...computeFunnel({ ...groups.get(f.id), modal: f.signup === 'modal', ruleset: rulesForFunnel(rules, f.id) }),
+    })),
+    unmapped,
+  };
+}
+
+// ─── Media (ad platform) join ──────────────────────────────
+
+/**
+ * Join ad campaigns to AffiliateWP by campaign (see ads.js).
+ *
+ * A referral's campaign is its own `campaign` field, else that of the
+ * visit it was credited from.
+ * Returns { spend, impressions, clicks, cpc, ctr, campaigns[] } where each
+ * campaign also carries lp_visits, conversions, revenue and cost ratios.
+ */
+function joinAds(ads, lpVisits, orderFormVisits, referrals) {
+  const visitCampaigns = new Map([...lpVisits, ...orderFormVisits].map(v => [String(v.visit_id ?? v.id), v.campaign]));
+  const converted = referrals.filter(r => r.status !== 'rejected');
+  const referralCampaign = (r) => r.campaign || visitCampaigns.get(String(r.visit_id)) || '';
+
+  const campaigns = ads.campaigns.map(c => {
+    const lpCount = lpVisits.filter(v => matchesCampaign(c, v.campaign)).length;
+    const conversions = converted.filter(r => matchesCampaign(c, referralCampaign(r)));
+    const paid = conversions.filter(r => parseFloat(r.amount || 0) > 0);
+    const revenue = paid.reduce((sum, r) => sum + parseFloat(r.amount || 0), 0);
+    return {
+      campaign: c.campaign,
+      campaign_id: c.campaignId,
+      spend: round(c.spend),
+      impressions: Math.round(c.impressions),
+      clicks: Math.round(c.clicks),
+      cpc: round(c.cpc),
+      ctr_pct: round(c.ctr),
+      lp_visits: lpCount,
+      conversions: conversions.length,
+      paid_sales: paid.length,
+      revenue: round(revenue),
+      cost_per_lp_visitor: lpCount > 0 ? round(c.spend / lpCount) : null,
+      cost_per_conversion: conversions.length > 0 ? round(c.spend / conversions.length) : null,
+      roas: c.spend > 0 ? round(revenue / c.spend) : null,
+    };
+  });
+
+  return {
+    spend: round(ads.spend),
+    impressions: Math.round(ads.impressions),
+    clicks: Math.round(ads.clicks),
+    cpc: round(ads.cpc),
+    ctr_pct: round(ads.ctr),
+    campaigns,
+  };
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [v, n] of counts) if (best === null || n > counts.get(best)) best = v;
+  return best;
+}
+
+// ─── Period comparison ─────────────────────────────────────
+
+/**
+ * Attach a prior-period report to `current` for --compare.
+ *
+ * Adds `comparison`: { mode, period, funnel_type, funnel_metrics, financial_metrics }
+ * where each numeric metric becomes { previous, delta, delta_pct }.
+ * delta_pct is null when the previous value was 0. Benchmarks and
+ * pass/fail flags aren't compared — they are judged per period.
+ */
+export function compareReports(current, previous, mode) {
+  return {
+    ...current,
+    comparison: {
+      mode,
+      period: previous.period,
+      funnel_type: previous.funnel_type,
+      funnel_metrics: compareSection(current.funnel_metrics, previous.funnel_metrics),
+      financial_metrics: compareSection(current.financial_metrics, previous.financial_metrics),
+    },
+  };
+}
+
+function compareSection(current, previous) {
+  const out = {};
+  for (const [metric, value] of Object.entries(current)) {
+    if (typeof value !== 'number' || metric.endsWith('_benchmark_pct')) continue;
+    const prev = previous[metric];
+    out[metric] = {
+      previous: prev,
+      delta: round(value - prev),
+      delta_pct: prev !== 0 ? round((value - prev) / Math.abs(prev) * 100, 1) : null,
+    };
+  }
+  return out;
+}
+
+const FUNNEL_LABELS = {
+  free: 'FREE (lead gen)',
+  paid: 'PAID (revenue)',
+  mixed: 'MIXED (free + paid)',
+  none: 'NO CONVERSIONS',
+};
+
+/**
+ * Count records by a key function, most frequent first. Records whose key
+ * throws (malformed URLs) are skipped.
+ * Returns [{ key, count }].
+ */
+function countBy(records, keyFn) {
+  const counts = {};
+  for (const r of records) {
+    let key;
+    try { key = keyFn(r); } catch { continue; }
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => ({ key, count }));
+}
+
+function round(n, places = 2) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
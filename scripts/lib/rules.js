@@ -0,0 +1,146 @@
+/**
+ * Constraint rules for the CRO report.
+ *
+ * scripts/rules.json holds `defaults` plus per-funnel overrides keyed by
+ * funnel id (see funnels.json). A funnel's rule set is the defaults with:
+ *   benchmarks — merged key by key; null switches a benchmark off
+ *   checks     — replaced wholesale when the funnel lists its own
+ *   none       — the "no constraint" summary/actions, likewise replaced
+ * The blended (whole-site) report uses the defaults.
+ *
+ * Each check is evaluated in order against the funnel's metrics:
+ *   { id, type, category, when, summary, actions[], stop?, fallback? }
+ *   when      — { metric, op, value } or { metric, op, benchmark }, or
+ *               { all: [...] } / { any: [...] } of those. `metric` is a
+ *               path into the report ("funnel_metrics.lp_to_of_rate_pct",
+ *               "funnel_type"); ops are < <= > >= == !=
+ *   stop      — skip the remaining checks when this one fails
+ *   fallback  — only report this check when nothing else failed
+ *   summary   — may reference values as {path} or {path:money},
+ *               e.g. "{financial_metrics.cost_per_lead:money}"
+ *
+ * A comparison whose metric or benchmark is null doesn't apply (a modal
+ * funnel has no order form rate; an unset benchmark isn't judged), so the
+ * check passes.
+ */
+
+const OPS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+const NO_CONSTRAINT = {
+  summary: 'All metrics are within benchmark! \ud83c\udf89',
+  actions: [],
+};
+
+/**
+ * Validate the parsed rules file (loadRules() in files.js reads it).
+ * Returns { defaults, funnels } as written; throws on a malformed check.
+ */
+export function parseRules(rules, source = 'rules.json') {
+  for (const check of allChecks(rules)) {
+    if (!check.id || !check.when) throw new Error(`Invalid rule in ${source}: every check needs an id and a "when" condition`);
+    validateCondition(check.when, check.id);
+  }
+  return rules;
+}
+
+/**
+ * The rule set for one funnel id (or the defaults when funnelId is null).
+ * Returns { benchmarks, checks[], none }.
+ */
+export function rulesForFunnel(rules, funnelId = null) {
+  const defaults = (rules && rules.defaults) || {};
+  const override = (funnelId && rules && rules.funnels && rules.funnels[funnelId]) || {};
+  return {
+    benchmarks: { ...defaults.benchmarks, ...override.benchmarks },
+    checks: override.checks || defaults.checks || [],
+    none: override.none || defaults.none || NO_CONSTRAINT,
+  };
+}
+
+/**
+ * Evaluate a rule set against { funnel_type, funnel_metrics, financial_metrics }.
+ * Returns every failing check, in rule order, as
+ * [{ id, type, category, summary, actions[] }] — or a single
+ * { type: 'none' } entry when all pass.
+ */
+export function evaluateRules(ruleset, metrics) {
+  const context = { ...metrics, benchmark: ruleset.benchmarks };
+  const failing = [];
+  const fallbacks = [];
+
+  for (const check of ruleset.checks) {
+    if (!conditionHolds(check.when, context)) continue;
+    (check.fallback ? fallbacks : failing).push(toConstraint(check, context));
+    if (check.stop) break;
+  }
+
+  if (failing.length) return failing;
+  if (fallbacks.length) return fallbacks;
+  return [{
+    id: 'none',
+    type: 'none',
+    category: 'NO CONSTRAINT',
+    summary: fill(ruleset.none.summary, context),
+    actions: ruleset.none.actions || [],
+  }];
+}
+
+// ─── Conditions ────────────────────────────────────────────
+
+function conditionHolds(cond, context) {
+  if (cond.all) return cond.all.every(c => conditionHolds(c, context));
+  if (cond.any) return cond.any.some(c => conditionHolds(c, context));
+
+  const actual = lookup(context, cond.metric);
+  const expected = 'benchmark' in cond ? context.benchmark[cond.benchmark] : cond.value;
+  if (actual === null || actual === undefined || expected === null || expected === undefined) return false;
+  return OPS[cond.op](actual, expected);
+}
+
+function validateCondition(cond, id) {
+  if (cond.all || cond.any) {
+    (cond.all || cond.any).forEach(c => validateCondition(c, id));
+    return;
+  }
+  if (!cond.metric || !OPS[cond.op]) {
+    throw new Error(`Invalid condition in rule "${id}": needs "metric" and an op of ${Object.keys(OPS).join(' ')}`);
+  }
+}
+
+function allChecks(rules) {
+  const sets = [rules.defaults, ...Object.values(rules.funnels || {})];
+  return sets.flatMap(set => (set && set.checks) || []);
+}
+
+// ─── Output ────────────────────────────────────────────────
+
+function toConstraint(check, context) {
+  return {
+    id: check.id,
+    type: check.type || check.id,
+    category: check.category || 'CONSTRAINT',
+    summary: fill(check.summary || check.id, context),
+    actions: check.actions || [],
+  };
+}
+
+// "{financial_metrics.cpa:money}" -> "£12.34"
+function fill(template, context) {
+  return template.replace(/\{([\w.]+)(?::(\w+))?\}/g, (match, path, format) => {
+    const value = lookup(context, path);
+    if (value === null || value === undefined) return match;
+    if (format === 'money') return `\u00a3${Number(value).toFixed(2)}`;
+    return String(value);
+  });
+}
+
+function lookup(context, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+}
@@ -0,0 +1,239 @@
+/**
+ * Local snapshot of AffiliateWP visits and referrals.
+ *
+ * Pulling ~50K visits for a 7-day report takes 60-90s, so the report keeps
+ * a local copy and only fetches what is new since the last sync. With the
+ * snapshot in place, reports can also run fully offline (--offline) —
+ * including against a fixture directory (--cache-dir).
+ *
+ * Layout (default scripts/.cache/affwp/, gitignored):
+ *   sync.json                 — per-kind sync state (see below)
+ *   visits/YYYY-MM.jsonl      — one visit per line, unique by visit_id
+ *   referrals/YYYY-MM.jsonl   — one referral per line, unique by referral_id
+ *
+ * Files are partitioned by the record's month so a sync only rewrites the
+ * months it touched and a report only reads the months in its window.
+ *
+ * sync.json, per kind:
+ *   coveredFrom — every record from here up to `latest` is in the snapshot
+ *   latest      — date of the newest record seen
+ *   syncedAt    — when the last sync finished
+ */
+
+import { readFileSync, writeFileSync, readdirSync, mkdirSync, renameSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fetchNewerThan } from './affwp-api.js';
+import { parseAffwpDate } from './period.js';
+
+export const KINDS = {
+  visits: {
+    endpoint: '/visits',
+    idKey: 'visit_id',
+    batchSize: 500,
+    // ~7K visits/day including /meta.json noise, so a first sync of a long
+    // window can be huge. Caps a single run at 75K visits; the next run
+    // carries on from where coverage stopped.
+    maxBatches: 150,
+    // Re-read a little overlap to catch visits logged slightly out of order.
+    // Visits are otherwise immutable (only referral_id is filled in later,
+    // and the report doesn't use it).
+    overlapMs: 60 * 60 * 1000,
+  },
+  referrals: {
+    endpoint: '/referrals',
+    idKey: 'referral_id',
+    batchSize: 200,
+    maxBatches: Infinity,
+    // Referral status changes after creation (pending -> unpaid -> paid,
+    // or rejected on refund), so recent referrals are always re-read.
+    overlapMs: 30 * 24 * 60 * 60 * 1000,
+  },
+};
+
+/**
+ * Read sync.json. Returns {} for a fresh snapshot.
+ */
+export function readSyncState(dir) {
+  try {
+    return JSON.parse(readFileSync(join(dir, 'sync.json'), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Bring the snapshot up to date for everything since `since`.
+ *
+ * If the snapshot already covers `since`, only records newer than the last
+ * sync (minus the kind's overlap) are fetched. Otherwise it is topped up the
+ * same way and then backfilled: paging resumes just past the records already
+ * held, so a long window hitting maxBatches makes progress run after run.
+ */
+export async function syncSnapshot(apiFetch, dir, since, progress = () => {}) {
+  const state = readSyncState(dir);
+  mkdirSync(dir, { recursive: true });
+
+  await Promise.all(Object.entries(KINDS).map(async ([kind, config]) => {
+    const prev = state[kind];
+    let fetched = 0;
+    let batches = 0;
+
+    const fetchPass = async (stopBefore, startOffset, maxBatches) => {
+      const result = await fetchNewerThan(apiFetch, config.endpoint, {
+        stopBefore, startOffset, maxBatches, batchSize: config.batchSize, label: kind, progress,
+      });
+      upsertRecords(dir, kind, result.records);
+      fetched += result.records.length;
+      batches += result.batches;
+      return result;
+    };
+
+    let coverage;
+    if (prev) {
+      const topUpFrom = new Date(new Date(prev.latest).getTime() - config.overlapMs);
+      const topUp = await fetchPass(topUpFrom, 0, config.maxBatches);
+      coverage = topUp.hitLimit
+        ? { from: topUp.oldest, latest: newestDate(topUp.records, prev) }   // gap: old coverage no longer contiguous
+        : { from: minDate(topUpFrom, new Date(prev.coveredFrom)), latest: newestDate(topUp.records, prev) };
+    }
+
+    if (!coverage || coverage.from > since) {
+      // Skip what the snapshot already holds, less one batch of slack for
+      // records deleted or added since the counts were taken.
+      const held = coverage ? countSince(dir, kind, coverage.from) : 0;
+      const startOffset = Math.max(0, held - config.batchSize);
+      const backfill = await fetchPass(since, startOffset, config.maxBatches - batches);
+      let from = since;
+      if (backfill.hitLimit) {
+        // Stopped short of `since` — coverage reaches as far back as we got
+        from = backfill.oldest && coverage ? minDate(backfill.oldest, coverage.from) : (backfill.oldest || coverage.from);
+      }
+      coverage = { from, latest: newestDate(backfill.records, coverage) };
+      if (backfill.hitLimit) {
+        progress(`\n  WARNING: Hit max batch limit (${config.maxBatches}) syncing ${kind}. Snapshot now covers from ${coverage.from.toISOString()}.\n`);
+        progress('  Run again to continue backfilling.\n');
+      }
+    }
+
+    state[kind] = {
+      coveredFrom: coverage.from.toISOString(),
+      latest: (coverage.latest || since).toISOString(),
+      syncedAt: new Date().toISOString(),
+    };
+    progress(`  ${kind}: ${fetched} new or updated records in ${batches} batches.                              \n`);
+  }));
+
+  writeJson(join(dir, 'sync.json'), state);
+  return state;
+}
+
+// Newest of the fetched records (API order: newest first) and the previous `latest`
+function newestDate(records, prev) {
+  const candidates = [records.length && parseAffwpDate(records[0].date), prev && prev.latest && new Date(prev.latest)];
+  const dates = candidates.filter(Boolean);
+  return dates.length ? dates.reduce((a, b) => (a > b ? a : b)) : null;
+}
+
+/**
+ * Load snapshot records of one kind dated within [from, to).
+ */
+export function loadRecords(dir, kind, from, to) {
+  const kindDir = join(dir, kind);
+  if (!existsSync(kindDir)) return [];
+
+  const firstMonth = monthKey(from);
+  const lastMonth = monthKey(to);
+  const records = [];
+
+  for (const file of readdirSync(kindDir).sort()) {
+    const month = file.replace(/\.jsonl$/, '');
+    if (month === file || month < firstMonth || month > lastMonth) continue;
+
+    for (const record of readJsonl(join(kindDir, file))) {
+      const date = parseAffwpDate(record.date);
+      if (date >= from && date < to) records.push(record);
+    }
+  }
+
+  // Same order the API returns (newest first)
+  return records.sort((a, b) => parseAffwpDate(b.date) - parseAffwpDate(a.date));
+}
+
+/**
+ * Merge records into their month files, replacing any with the same id.
+ */
+export function upsertRecords(dir, kind, records) {
+  if (!records.length) return;
+  const { idKey } = KINDS[kind];
+  const kindDir = join(dir, kind);
+  mkdirSync(kindDir, { recursive: true });
+
+  const byMonth = new Map();
+  for (const record of records) {
+    const month = monthKey(parseAffwpDate(record.date));
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(record);
+  }
+
+  for (const [month, incoming] of byMonth) {
+    const path = join(kindDir, `${month}.jsonl`);
+    const merged = new Map();
+    for (const record of readJsonl(path)) merged.set(String(record[idKey]), record);
+    for (const record of incoming) merged.set(String(record[idKey]), record);
+
+    const lines = [...merged.values()].map(r => JSON.stringify(r)).join('\n');
+    writeAtomic(path, lines + '\n');
+  }
+}
+
+// Number of records of a kind dated at or after `from`
+function countSince(dir, kind, from) {
+  return loadRecords(dir, kind, from, new Date(Date.UTC(9999, 11, 31))).length;
+}
+
+/**
+ * Human-readable warning if the snapshot doesn't reach back to `from`, else null.
+ */
+export function coverageWarning(state, from) {
+  const gaps = [];
+  for (const kind of Object.keys(KINDS)) {
+    const s = state[kind];
+    if (!s) {
+      gaps.push(`${kind}: never synced`);
+    } else if (new Date(s.coveredFrom) > from) {
+      gaps.push(`${kind}: only covers from ${s.coveredFrom}`);
+    }
+  }
+  return gaps.length ? `Snapshot does not cover the whole period (${gaps.join('; ')})` : null;
+}
+
+// ─── File helpers ──────────────────────────────────────────
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function minDate(a, b) {
+  return a < b ? a : b;
+}
+
+function readJsonl(path) {
+  let content;
+  try {
+    content = readFileSync(path, 'utf-8');
+  } catch {
+    return [];
+  }
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function writeJson(path, data) {
+  writeAtomic(path, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Write-then-rename so an interrupted sync never leaves a half-written file
+function writeAtomic(path, content) {
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, content);
+  renameSync(tmp, path);
+}
@@ -0,0 +1,162 @@
+/**
+ * Statistics helpers for A/B experiment reporting.
+ *
+ * Plain-JS implementations so the report script stays dependency-free.
+ * All tests are two-sided at the given confidence level (default 95%).
+ */
+
+// ─── Distributions ─────────────────────────────────────────
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7).
+ */
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided critical z for a confidence level, e.g. 0.95 -> 1.96.
+ */
+export function zCritical(confidence = 0.95) {
+  // Bisection on normalCdf — plenty accurate and avoids a lookup table.
+  const target = 1 - (1 - confidence) / 2;
+  let lo = 0;
+  let hi = 10;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < target) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Upper-tail p-value of a chi-square statistic with `df` degrees of freedom.
+ */
+export function chiSquarePValue(x, df) {
+  if (x <= 0) return 1;
+  return regularizedGammaQ(df / 2, x / 2);
+}
+
+// ─── Proportions ───────────────────────────────────────────
+
+/**
+ * Wilson score interval for a single proportion. Returns { low, high } as fractions.
+ */
+export function wilsonInterval(successes, trials, confidence = 0.95) {
+  if (trials === 0) return { low: 0, high: 0 };
+  const z = zCritical(confidence);
+  const p = successes / trials;
+  const denom = 1 + (z * z) / trials;
+  const centre = (p + (z * z) / (2 * trials)) / denom;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denom;
+  return { low: Math.max(0, centre - margin), high: Math.min(1, centre + margin) };
+}
+
+/**
+ * Two-proportion z-test of arm B against control A.
+ * Returns { diff, diffLow, diffHigh, lift, z, pValue } — diff/interval in
+ * absolute fraction points, lift relative to A (null when A's rate is 0).
+ */
+export function twoProportionTest(successesA, trialsA, successesB, trialsB, confidence = 0.95) {
+  if (trialsA === 0 || trialsB === 0) {
+    return { diff: 0, diffLow: 0, diffHigh: 0, lift: null, z: 0, pValue: 1 };
+  }
+
+  const pA = successesA / trialsA;
+  const pB = successesB / trialsB;
+  const diff = pB - pA;
+
+  // Unpooled SE for the interval, pooled SE for the test statistic.
+  const seDiff = Math.sqrt((pA * (1 - pA)) / trialsA + (pB * (1 - pB)) / trialsB);
+  const zc = zCritical(confidence);
+
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const sePooled = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  const z = sePooled > 0 ? diff / sePooled : 0;
+  const pValue = sePooled > 0 ? 2 * (1 - normalCdf(Math.abs(z))) : 1;
+
+  return {
+    diff,
+    diffLow: diff - zc * seDiff,
+    diffHigh: diff + zc * seDiff,
+    lift: pA > 0 ? diff / pA : null,
+    z,
+    pValue,
+  };
+}
+
+/**
+ * Sample ratio mismatch check: chi-square goodness-of-fit of observed
+ * counts against expected weights. Returns { chiSquare, pValue, expected }.
+ * Arms with weight 0 get no router traffic (only direct links), so their
+ * visits are left out of the split being tested.
+ */
+export function sampleRatioTest(observed, weights) {
+  const total = observed.reduce((sum, n, i) => (weights[i] > 0 ? sum + n : sum), 0);
+  const weightSum = weights.reduce((a, b) => a + b, 0);
+  const expected = weights.map(w => (weightSum > 0 ? (total * w) / weightSum : 0));
+
+  let chiSquare = 0;
+  let df = -1;
+  for (let i = 0; i < observed.length; i++) {
+    if (expected[i] <= 0) continue;
+    chiSquare += ((observed[i] - expected[i]) ** 2) / expected[i];
+    df++;
+  }
+
+  return {
+    chiSquare,
+    pValue: df > 0 ? chiSquarePValue(chiSquare, df) : 1,
+    expected,
+  };
+}
+
+// ─── Incomplete gamma (Numerical Recipes 6.2) ──────────────
+
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const coef of c) ser += coef / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+function regularizedGammaQ(a, x) {
+  if (x < a + 1) {
+    // Series for P, then Q = 1 - P
+    let sum = 1 / a;
+    let term = sum;
+    let ap = a;
+    for (let n = 0; n < 200; n++) {
+      ap++;
+      term *= x / ap;
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+
+  // Continued fraction for Q (modified Lentz)
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 200; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
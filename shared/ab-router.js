@@ -0,0 +1,171 @@
+/* =============================================================
+   SHARED A/B ROUTER — all client-side split tests
+   Loaded by each funnel's index.html:
+     <script src="/shared/ab-router.js"
+             data-experiment="free-course"
+             data-fallback="/free-course/a/"></script>
+
+   Reads the experiment from window.VL_EXPERIMENTS, which the worker
+   inlines into router pages from /shared/experiments.json, and
+   redirects synchronously from <head> — no round-trip before the
+   redirect. Only when the worker didn't run (local preview, asset
+   served directly) is the manifest fetched first. Each entry:
+     {
+       path       : '/free-course/',     // Router page this experiment lives on
+       cookie     : 'us_fc_variant',     // Assignment cookie
+       cookieDays : 30,                  // How long an assignment sticks
+       status     : 'running',           // 'running' | 'paused' (paused pins everyone to control)
+       control    : 'a',                 // Arm served when paused / outside start-end
+       start      : '2026-04-22',        // Optional ISO date — before this, everyone gets control
+       end        : null,                // Optional ISO date — after this, everyone gets control
+       variants   : [                    // Any number of arms; weights are relative
+         { name: 'a', path: '/free-course/a/', weight: 50 },
+         { name: 'b', path: '/free-course/b/', weight: 50 }
+       ]
+     }
+
+   QA: ?variant=b forces an arm without touching the assignment
+   cookie, so testers never pollute their own bucketing.
+
+   Sticky bucketing: new assignments hash window.VL_VISITOR_ID (a
+   stable first-party id issued by _worker.js) salted with the
+   experiment key, so a visitor whose us_*_variant cookie was trimmed
+   by Safari ITP — or who comes back in a fresh session — lands in
+   the same arm again. Math.random is only used if the id is missing.
+
+   Routing MUST stay client-side (window.location.replace). Bots
+   follow HTTP redirects but not JavaScript ones — see
+   PROJECT-STATE.md "A/B Testing — ALWAYS client-side".
+   ============================================================= */
+
+(function () {
+  'use strict';
+
+  var MANIFEST_URL = '/shared/experiments.json';
+  var FORCE_PARAM  = 'variant';
+
+  var script       = document.currentScript || {};
+  var dataset      = script.dataset || {};
+  var experimentId = dataset.experiment;
+  var fallbackPath = dataset.fallback;
+
+  /* ===== COOKIE HELPERS ===== */
+  function getCookie(name) {
+    var match = document.cookie.match(new RegExp('(^| )' + name + '=([^;]+)'));
+    return match ? match[2] : null;
+  }
+  function setCookie(name, value, days) {
+    var d = new Date();
+    d.setTime(d.getTime() + (days * 24 * 60 * 60 * 1000));
+    document.cookie = name + '=' + value + ';expires=' + d.toUTCString() + ';path=/;SameSite=Lax';
+  }
+
+  /* ===== ASSIGNMENT ===== */
+  function findVariant(experiment, name) {
+    for (var i = 0; i < experiment.variants.length; i++) {
+      if (experiment.variants[i].name === name) return experiment.variants[i];
+    }
+    return null;
+  }
+
+  function controlVariant(experiment) {
+    return findVariant(experiment, experiment.control) || experiment.variants[0];
+  }
+
+  function isLive(experiment, now) {
+    if (experiment.status !== 'running') return false;
+    if (experiment.start && now < new Date(experiment.start)) return false;
+    if (experiment.end && now >= new Date(experiment.end)) return false;
+    return true;
+  }
+
+  // Weighted pick. Weights are relative, so 1/1/1 and 34/33/33 both split in thirds.
+  function pickWeighted(variants, rand) {
+    var total = 0;
+    for (var i = 0; i < variants.length; i++) total += Math.max(0, variants[i].weight || 0);
+    if (total <= 0) return variants[0];
+
+    var target = rand * total;
+    var cumulative = 0;
+    for (var j = 0; j < variants.length; j++) {
+      cumulative += Math.max(0, variants[j].weight || 0);
+      if (target < cumulative) return variants[j];
+    }
+    return variants[variants.length - 1];
+  }
+
+  /* ===== DETERMINISTIC BUCKETING =====
+     FNV-1a over "<experiment>:<visitor id>", finished with the
+     murmur3 fmix32 avalanche so near-identical ids still spread
+     evenly. Returns a float in [0, 1). */
+  function hashBucket(salt, visitorId) {
+    var str = salt + ':' + visitorId;
+    var h = 0x811c9dc5;
+    for (var i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+
+  /**
+   * Decide which arm this visitor sees.
+   * Returns { variant, persist } — persist = whether to (re)write the cookie.
+   */
+  function assign(experiment, params) {
+    var forced = findVariant(experiment, params.get(FORCE_PARAM));
+    if (forced) return { variant: forced, persist: false };
+
+    if (!isLive(experiment, new Date())) {
+      return { variant: controlVariant(experiment), persist: false };
+    }
+
+    var existing = findVariant(experiment, getCookie(experiment.cookie));
+    if (existing && (existing.weight || 0) > 0) return { variant: existing, persist: false };
+
+    var visitorId = window.VL_VISITOR_ID;
+    var rand = visitorId ? hashBucket(experimentId, visitorId) : Math.random();
+    return { variant: pickWeighted(experiment.variants, rand), persist: true };
+  }
+
+  /* ===== REDIRECT ===== */
+  // Pass every URL parameter through (a, campaign, utm_*, fbclid ...) except the QA override.
+  function redirect(path, params) {
+    params.delete(FORCE_PARAM);
+    var qs = params.toString();
+    window.location.replace(path + (qs ? '?' + qs : ''));
+  }
+
+  function route(manifest) {
+    var params     = new URLSearchParams(window.location.search);
+    var experiment = manifest && manifest.experiments && manifest.experiments[experimentId];
+
+    if (!experiment || !experiment.variants || !experiment.variants.length) {
+      if (fallbackPath) redirect(fallbackPath, params);
+      return;
+    }
+
+    var result = assign(experiment, params);
+    if (result.persist) {
+      setCookie(experiment.cookie, result.variant.name, experiment.cookieDays || 30);
+    }
+    redirect(result.variant.path, params);
+  }
+
+  // Exposed so QA (and tests) can reproduce an assignment for a given id.
+  window.VL_AB = { hashBucket: hashBucket, pickWeighted: pickWeighted };
+
+  if (window.VL_EXPERIMENTS) {
+    route(window.VL_EXPERIMENTS);
+    return;
+  }
+  fetch(MANIFEST_URL, { credentials: 'same-origin' })
+    .then(function (res) { return res.ok ? res.json() : null; })
+    .then(route)
+    .catch(function () { route(null); });
+})();
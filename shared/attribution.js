@@ -0,0 +1,113 @@
+/* =============================================================
+   SHARED ATTRIBUTION — one source for signup and checkout data
+   Loaded in <head> after /shared/fb-events.js:
+     <script src="/shared/attribution.js"></script>
+
+   The worker keeps the visitor's attribution in the vl_attr
+   cookie and injects it as window.VL_ATTRIBUTION
+   (worker/attribution.js):
+     { first: {...touch}, last: {...touch},
+       affiliate_id, campaign, variant,
+       fallback_affiliate_id, fallback_rule }
+   A touch holds utm_source / utm_medium / utm_campaign /
+   utm_term / utm_content, fbclid / gclid (with marketing consent
+   only), landing (path), referrer (host) and at (date).
+
+   VLAttribution.fields() flattens it into the fields the signup
+   modal posts to /api/register:
+     affiliate_id, affiliate_rule, campaign, variant, visit_id,
+     utm_* / fbclid / gclid / landing_path / referrer  (last touch)
+     first_utm_source / first_utm_medium / first_utm_campaign /
+     first_landing_path / first_referrer / first_seen  (first touch)
+   VLAttribution.buyParams() returns the page's own query string
+   plus the same fields (the URL wins on conflicts, the variant is
+   always the page's), for handleBuy's checkout redirect.
+
+   Without an affiliate id, affiliate_id is the worker's fallback
+   (AFFILIATE_FALLBACK rules — worker/affiliate-fallback.js) and
+   affiliate_rule names the rule that chose it.
+
+   Without the worker (local preview) the record is rebuilt from
+   the URL and the affwp_* cookies. Outside an A/B test the
+   variant falls back to window.VL_CONFIG.VARIANT.
+   ============================================================= */
+
+(function () {
+  'use strict';
+
+  var CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+  var CLICK_ID_PARAMS = ['fbclid', 'gclid'];
+
+  function readCookie(name) {
+    var match = document.cookie.match(new RegExp('(?:^|; )' + name + '=([^;]*)'));
+    return match ? decodeURIComponent(match[1]) : '';
+  }
+
+  /* ===== RECORD ===== */
+  function fromUrl() {
+    var params = new URLSearchParams(window.location.search);
+    var touch = { landing: window.location.pathname };
+    CAMPAIGN_PARAMS.concat(CLICK_ID_PARAMS).forEach(function (key) {
+      if (params.get(key)) touch[key] = params.get(key);
+    });
+    return {
+      first: touch,
+      last: touch,
+      affiliate_id: params.get('a') || params.get('ref') || readCookie('affwp_affiliate_id'),
+      campaign: params.get('campaign') || readCookie('affwp_campaign'),
+      variant: (window.VL_EXPERIMENT && window.VL_EXPERIMENT.variant) || ''
+    };
+  }
+
+  function get() {
+    return window.VL_ATTRIBUTION || fromUrl();
+  }
+
+  /* ===== FLAT FIELDS ===== */
+  function fields() {
+    var record = get();
+    var first = record.first || {};
+    var last = record.last || {};
+    var out = {};
+
+    function put(key, value) {
+      if (value) out[key] = String(value);
+    }
+
+    put('affiliate_id', record.affiliate_id || record.fallback_affiliate_id);
+    if (!record.affiliate_id) put('affiliate_rule', record.fallback_rule);
+    put('campaign', record.campaign);
+    put('variant', record.variant || (window.VL_CONFIG && window.VL_CONFIG.VARIANT));
+    put('visit_id', readCookie('affwp_visit_id'));
+
+    CAMPAIGN_PARAMS.concat(CLICK_ID_PARAMS).forEach(function (key) {
+      put(key, last[key]);
+    });
+    put('landing_path', last.landing);
+    put('referrer', last.referrer);
+
+    put('first_utm_source', first.utm_source);
+    put('first_utm_medium', first.utm_medium);
+    put('first_utm_campaign', first.utm_campaign);
+    put('first_landing_path', first.landing);
+    put('first_referrer', first.referrer);
+    put('first_seen', first.at);
+    return out;
+  }
+
+  /* ===== CHECKOUT PASSTHROUGH ===== */
+  function buyParams() {
+    var params = new URLSearchParams(window.location.search);
+    var data = fields();
+    Object.keys(data).forEach(function (key) {
+      if (key === 'variant') {
+        params.set(key, data[key]);
+      } else if (!params.has(key)) {
+        params.set(key, data[key]);
+      }
+    });
+    return params;
+  }
+
+  window.VLAttribution = { get: get, fields: fields, buyParams: buyParams };
+})();
@@ -0,0 +1,228 @@
+/* =============================================================
+   SHARED CONSENT — cookie banner + gating for every tracker
+   Loaded synchronously as the FIRST script in <head>, before
+   Clarity, gtag and the Meta Pixel:
+     <script src="/shared/consent.js"></script>
+
+   Two categories:
+     analytics - Microsoft Clarity, GA4 analytics_storage, GA4
+                 Measurement Protocol events from the worker
+     marketing - Meta Pixel, Conversions API (/api/track,
+                 /api/fb-event, the server-side Lead), GA4
+                 ad_storage / ad_user_data / ad_personalization
+
+   The choice is stored in the vl_consent cookie
+   ("analytics:granted|marketing:denied", 180 days). The worker
+   reads the same cookie before forwarding any server-side event
+   (worker/consent.js).
+
+   The worker's own first-party cookies (vl_vid, vl_attr, affwp_*,
+   the A/B arm cookie) are set regardless — they credit affiliates
+   and keep a visitor on one arm — so the banner copy says so; ad
+   click ids only go into vl_attr with marketing consent.
+
+   Before a choice is made, consent is denied wherever the worker
+   says it is required (window.VL_CONSENT_REQUIRED, set from the
+   visitor's country: UK, EEA and Switzerland) and granted
+   elsewhere. If the worker did not run (local preview), it is
+   treated as required.
+
+   Google Consent Mode v2: this script pushes the 'default' consent
+   state into dataLayer before the page's gtag('config'), and an
+   'update' whenever the visitor chooses. gtag.js itself always
+   loads; with storage denied it sends cookieless pings only.
+
+   Pages gate the other trackers with:
+     VLConsent.whenGranted('marketing', function () { ...Pixel... });
+   which runs now if granted, or the moment the visitor accepts.
+   VLConsent.granted(category) reads the current state and
+   VLConsent.open() reopens the banner — any element with
+   [data-consent-settings] does the same on click (footer link).
+   ============================================================= */
+
+(function () {
+  'use strict';
+
+  var COOKIE      = 'vl_consent';
+  var COOKIE_DAYS = 180;
+  var CATEGORIES  = ['analytics', 'marketing'];
+
+  var waiting = { analytics: [], marketing: [] };
+  var banner  = null;
+
+  /* ===== STORED STATE ===== */
+  function readStored() {
+    var match = document.cookie.match(new RegExp('(?:^|; )' + COOKIE + '=([^;]*)'));
+    if (!match) return null;
+    var state = {};
+    decodeURIComponent(match[1]).split('|').forEach(function (part) {
+      var kv = part.split(':');
+      if (CATEGORIES.indexOf(kv[0]) > -1) state[kv[0]] = kv[1] === 'granted';
+    });
+    return CATEGORIES.every(function (c) { return c in state; }) ? state : null;
+  }
+  function writeStored(state) {
+    var value = CATEGORIES.map(function (c) {
+      return c + ':' + (state[c] ? 'granted' : 'denied');
+    }).join('|');
+    var secure = location.protocol === 'https:' ? ';Secure' : '';
+    document.cookie = COOKIE + '=' + value + ';max-age=' + (COOKIE_DAYS * 86400) + ';path=/;SameSite=Lax' + secure;
+  }
+
+  var stored   = readStored();
+  var required = window.VL_CONSENT_REQUIRED !== false;
+  var state    = stored || { analytics: !required, marketing: !required };
+
+  /* ===== GOOGLE CONSENT MODE v2 ===== */
+  window.dataLayer = window.dataLayer || [];
+  function gtag() { window.dataLayer.push(arguments); }
+  function googleConsent(s) {
+    var ads = s.marketing ? 'granted' : 'denied';
+    return {
+      analytics_storage  : s.analytics ? 'granted' : 'denied',
+      ad_storage         : ads,
+      ad_user_data       : ads,
+      ad_personalization : ads
+    };
+  }
+  gtag('consent', 'default', googleConsent(state));
+
+  /* ===== API ===== */
+  function granted(category) {
+    return !!state[category];
+  }
+
+  function whenGranted(category, fn) {
+    if (state[category]) {
+      fn();
+    } else if (waiting[category]) {
+      waiting[category].push(fn);
+    }
+  }
+
+  function save(choice) {
+    var previous = state;
+    state = {};
+    CATEGORIES.forEach(function (c) { state[c] = !!choice[c]; });
+    writeStored(state);
+    gtag('consent', 'update', googleConsent(state));
+    hideBanner();
+
+    // Trackers that already loaded cannot be unloaded — start clean.
+    var withdrawn = CATEGORIES.some(function (c) { return previous[c] && !state[c]; });
+    if (withdrawn) {
+      window.location.reload();
+      return;
+    }
+    CATEGORIES.forEach(function (c) {
+      if (!state[c]) return;
+      var queue = waiting[c];
+      waiting[c] = [];
+      queue.forEach(function (fn) {
+        try { fn(); } catch (e) { /* one tracker must not block the rest */ }
+      });
+    });
+  }
+
+  /* ===== BANNER ===== */
+  function button(label, primary, onClick) {
+    var b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = label;
+    b.style.cssText = 'font:inherit;font-weight:600;padding:.6em 1.2em;border-radius:6px;cursor:pointer;border:2px solid #1d1d1b;' +
+      (primary ? 'background:#1d1d1b;color:#fff;' : 'background:#fff;color:#1d1d1b;');
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function checkbox(category, label) {
+    var row = document.createElement('label');
+    row.style.cssText = 'display:block;margin:.4em 0;cursor:pointer;';
+    var input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = category;
+    input.checked = state[category];
+    input.style.marginRight = '.5em';
+    row.appendChild(input);
+    row.appendChild(document.createTextNode(label));
+    return row;
+  }
+
+  function buildBanner() {
+    var el = document.createElement('div');
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-label', 'Cookie preferences');
+    el.style.cssText = 'position:fixed;left:0;right:0;bottom:0;z-index:2147483000;background:#fff;color:#1d1d1b;' +
+      'box-shadow:0 -4px 24px rgba(0,0,0,.18);padding:1.1em 1.25em;font:15px/1.5 system-ui,sans-serif;';
+
+    var text = document.createElement('p');
+    text.style.cssText = 'margin:0 0 .8em;max-width:60em;';
+    text.textContent = 'We use cookies to see how our pages are used (analytics) and to measure and improve our ads on ' +
+      'Facebook and Instagram (marketing). Until you choose, we only set our own cookies that remember the page ' +
+      'version you saw and which partner or campaign referred you — no analytics or ad trackers run.';
+    el.appendChild(text);
+
+    var settings = document.createElement('div');
+    settings.style.cssText = 'display:none;margin:0 0 .8em;';
+    settings.appendChild(checkbox('analytics', 'Analytics — Microsoft Clarity, Google Analytics'));
+    settings.appendChild(checkbox('marketing', 'Marketing — Meta Pixel and Conversions API, Google ads signals'));
+    el.appendChild(settings);
+
+    var actions = document.createElement('div');
+    actions.style.cssText = 'display:flex;flex-wrap:wrap;gap:.6em;';
+    var saveBtn = button('Save choices', true, function () {
+      var choice = {};
+      CATEGORIES.forEach(function (c) { choice[c] = settings.querySelector('input[name="' + c + '"]').checked; });
+      save(choice);
+    });
+    saveBtn.style.display = 'none';
+    var manageBtn = button('Manage', false, function () {
+      settings.style.display = 'block';
+      manageBtn.style.display = 'none';
+      saveBtn.style.display = '';
+    });
+    // Accept and Reject carry equal weight, as ICO guidance expects.
+    actions.appendChild(button('Accept all', true, function () { save({ analytics: true, marketing: true }); }));
+    actions.appendChild(button('Reject all', true, function () { save({ analytics: false, marketing: false }); }));
+    actions.appendChild(manageBtn);
+    actions.appendChild(saveBtn);
+    el.appendChild(actions);
+
+    return el;
+  }
+
+  function open() {
+    hideBanner();
+    banner = buildBanner();
+    document.body.appendChild(banner);
+  }
+
+  function hideBanner() {
+    if (banner && banner.parentNode) banner.parentNode.removeChild(banner);
+    banner = null;
+  }
+
+  function init() {
+    var links = document.querySelectorAll('[data-consent-settings]');
+    for (var i = 0; i < links.length; i++) {
+      links[i].addEventListener('click', function (e) {
+        e.preventDefault();
+        open();
+      });
+    }
+    if (!stored && required) open();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.VLConsent = {
+    granted     : granted,
+    whenGranted : whenGranted,
+    open        : open,
+    save        : save
+  };
+})();
@@ -0,0 +1,110 @@
+/* =============================================================
+   SHARED FACEBOOK EVENTS — Pixel + Conversions API, deduplicated
+   Loaded synchronously right after the Pixel snippet:
+     <script src="/shared/fb-events.js"></script>
+     <script>vlTrack('PageView');</script>
+
+   vlTrack(eventName, customData) fires one event through both paths
+   with the same event_id:
+     fbq('track', eventName, customData, {eventID: id})   (browser)
+     POST /api/track {event_name, event_id, event_time,
+                      custom_data, fbc, fbp, ...}           (server)
+   Meta keeps whichever arrives first and drops the other, instead of
+   counting the event twice. Returns the event_id. /api/track also
+   forwards the event to GA4 when TRACK_DESTINATIONS enables it for
+   that event (worker/track.js).
+
+   vlTrack(eventName, customData, options) — options, all optional:
+     eventId   - use this id instead of a new one (vlTrack.newEventId())
+     userData  - { email, first_name, external_id } for CAPI match
+                 quality; hashed by the worker, never given to the Pixel
+     pixelOnly - skip /api/track because the server already sends
+                 the event (the Lead, from /api/register — see
+                 worker/lead-events.js)
+
+   On an A/B arm page the worker sets window.VL_EXPERIMENT, and every
+   event gets { experiment, variant } added to its custom data (the
+   page's own keys win), so pages never pass their variant by hand.
+
+   Pages must NOT also call fbq('track', ...) for the same event —
+   that reintroduces the double count this helper exists to stop.
+   The CAPI request uses keepalive so it survives the navigation
+   that usually follows InitiateCheckout / Lead.
+
+   Consent: the Pixel only exists once the visitor allows marketing
+   (the page loads it through VLConsent.whenGranted, see
+   /shared/consent.js), so fbq calls are skipped until then.
+   ============================================================= */
+
+(function () {
+  'use strict';
+
+  var ENDPOINT = '/api/track';
+
+  function newEventId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+  }
+
+  function cookies() {
+    return document.cookie.split(';').reduce(function (acc, c) {
+      var i = c.indexOf('=');
+      if (i > -1) acc[c.slice(0, i).trim()] = c.slice(i + 1).trim();
+      return acc;
+    }, {});
+  }
+
+  // customData plus the A/B arm this page belongs to, if any
+  function withExperiment(customData) {
+    var exp = window.VL_EXPERIMENT;
+    if (!exp) return customData;
+    var data = { experiment: exp.id, variant: exp.variant };
+    for (var key in customData) {
+      if (Object.prototype.hasOwnProperty.call(customData, key)) data[key] = customData[key];
+    }
+    return data;
+  }
+
+  function sendCAPI(eventName, customData, eventId, userData) {
+    // The worker checks consent per destination; skip the request
+    // entirely when the visitor has allowed nothing.
+    var consent = window.VLConsent;
+    if (consent && !consent.granted('marketing') && !consent.granted('analytics')) return;
+    var ck = cookies();
+    var payload = {
+      event_name: eventName,
+      event_id: eventId,
+      event_time: Math.floor(Date.now() / 1000),
+      event_source_url: window.location.href,
+      user_agent: navigator.userAgent,
+      fbc: ck._fbc || null,
+      fbp: ck._fbp || null
+    };
+    if (customData) payload.custom_data = customData;
+    if (userData) payload.user_data = userData;
+    try {
+      fetch(ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        keepalive: true
+      }).catch(function () {});
+    } catch (e) { /* never break the page over tracking */ }
+  }
+
+  function vlTrack(eventName, customData, options) {
+    options = options || {};
+    var eventId = options.eventId || newEventId();
+    customData = withExperiment(customData);
+    if (typeof window.fbq === 'function') {
+      window.fbq('track', eventName, customData || {}, { eventID: eventId });
+    }
+    if (!options.pixelOnly) sendCAPI(eventName, customData, eventId, options.userData);
+    return eventId;
+  }
+
+  vlTrack.newEventId = newEventId;
+  window.vlTrack = vlTrack;
+})();
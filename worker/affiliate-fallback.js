@@ -0,0 +1,73 @@
+/**
+ * Default-affiliate fallback rules.
+ *
+ * When a signup or checkout has no affiliate id (no ?a= / ?ref=, no affwp
+ * cookie — Meta placements strip query params, Safari ITP drops cookies),
+ * the first matching rule in AFFILIATE_FALLBACK (vars, array or JSON
+ * string) decides who is credited:
+ *   [
+ *     { "name": "meta-click", "when": { "fbclid": true }, "affiliate_id": "36" },
+ *     { "name": "google-click", "when": { "gclid": true }, "affiliate_id": "" },
+ *     ...
+ *   ]
+ * Conditions in `when` (all must hold), read from the attribution's last
+ * touch (worker/attribution.js) and the page's funnel:
+ *   referrer    - referrer host, or one of its parent domains, is listed
+ *   utm_source  - listed (case-insensitive)
+ *   funnel      - funnel id from scripts/funnels.json / MU-plugin funnel_tag
+ *   fbclid / gclid - the touch arrived with that click id (true / false)
+ * A list condition can also be true (any value) or false (none).
+ * An empty affiliate_id stops at that rule and credits nobody. No match,
+ * or no rules configured, means no fallback.
+ *
+ * The worker resolves the rule when it serves the page and hands the
+ * result to page scripts in window.VL_ATTRIBUTION, and again in the
+ * /api/register proxy for payloads that arrive without an affiliate id.
+ */
+
+/**
+ * The configured rules, or [] when unset or unreadable.
+ */
+export function fallbackRules(env) {
+  let rules = env.AFFILIATE_FALLBACK;
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules);
+    } catch {
+      console.error('[Attribution] AFFILIATE_FALLBACK is not valid JSON - no fallback affiliate');
+      return [];
+    }
+  }
+  return Array.isArray(rules) ? rules.filter(rule => rule && typeof rule === 'object') : [];
+}
+
+/**
+ * First rule matching a touch, as { affiliate_id, rule } (affiliate_id may
+ * be ''), or null when none match.
+ */
+export function fallbackAffiliate(rules, touch, funnel) {
+  const signals = {
+    referrer: (touch && touch.referrer) || '',
+    utm_source: ((touch && touch.utm_source) || '').toLowerCase(),
+    funnel: funnel || '',
+    fbclid: Boolean(touch && (touch.fbclid || touch.click === 'fbclid')),
+    gclid: Boolean(touch && (touch.gclid || touch.click === 'gclid')),
+  };
+  for (const [i, rule] of rules.entries()) {
+    if (matches(rule.when || {}, signals)) {
+      return { affiliate_id: String(rule.affiliate_id || ''), rule: String(rule.name || `rule-${i + 1}`) };
+    }
+  }
+  return null;
+}
+
+function matches(when, signals) {
+  return Object.entries(when).every(([key, expected]) => {
+    if (!(key in signals)) return false;
+    const value = signals[key];
+    if (typeof expected === 'boolean') return Boolean(value) === expected;
+    const listed = (Array.isArray(expected) ? expected : [expected]).map(v => String(v).toLowerCase());
+    if (key === 'referrer') return listed.some(host => value === host || value.endsWith(`.${host}`));
+    return listed.includes(value);
+  });
+}
@@ -0,0 +1,66 @@
+/**
+ * AffiliateWP REST API client for the worker.
+ *
+ * Shared by the landing-page fetch path, the /api/visit beacon and the
+ * visit retry queue consumer, so every path creates visits identically.
+ */
+
+/**
+ * Create a visit via AffiliateWP REST API.
+ * `visit` is { affiliateId, campaign, ip, landingUrl, referrer }.
+ * Returns { visitId, retryable }: visitId is null on failure, and retryable
+ * is true only when trying again can help without risking a duplicate
+ * visit — network errors, 5xx and 429. Missing credentials, other 4xx and
+ * a 2xx without a readable id (the visit may exist) are not retryable.
+ */
+export async function createAffiliateVisit(env, visit) {
+  const parentUrl = (env.AFFWP_PARENT_URL || '').replace(/\/$/, '');
+  const publicKey = env.AFFWP_PUBLIC_KEY || '';
+  const token = env.AFFWP_TOKEN || '';
+
+  if (!parentUrl || !publicKey || !token) {
+    console.error('[AffWP] Missing environment variables - cannot track visit');
+    return { visitId: null, retryable: false };
+  }
+
+  try {
+    const apiParams = new URLSearchParams({
+      affiliate_id: visit.affiliateId,
+      ip: visit.ip,
+      url: visit.landingUrl,
+      campaign: visit.campaign || '',
+      referrer: visit.referrer || '',
+    });
+
+    const apiUrl = `${parentUrl}/wp-json/affwp/v1/visits?${apiParams.toString()}`;
+    const authHeader = 'Basic ' + btoa(`${publicKey}:${token}`);
+
+    const apiResponse = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': authHeader,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: '',
+    });
+
+    const responseText = await apiResponse.text();
+
+    if (apiResponse.ok) {
+      try {
+        const data = JSON.parse(responseText);
+        const visitId = data.visit_id || data.id || null;
+        if (!visitId) console.error('[AffWP] API response has no visit id - not retrying:', responseText.substring(0, 300));
+        return { visitId, retryable: false };
+      } catch (parseErr) {
+        console.error('[AffWP] Failed to parse API response - not retrying:', parseErr.message);
+        return { visitId: null, retryable: false };
+      }
+    }
+    console.error('[AffWP] API error:', apiResponse.status, responseText.substring(0, 300));
+    return { visitId: null, retryable: apiResponse.status >= 500 || apiResponse.status === 429 };
+  } catch (err) {
+    console.error('[AffWP] API request failed:', err.message);
+    return { visitId: null, retryable: true };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Size limit for the vl_attr cookie (worker/attribution.js).
+ *
+ * Browsers drop a cookie whose name and value exceed 4096 bytes, silently.
+ * The value is the percent-encoded JSON record, so every {, " and : costs
+ * three bytes and a non-ASCII character up to twelve — clipping each field
+ * to a fixed number of characters can't guarantee a fit. fitAttributionValue()
+ * measures the encoded value and drops the least useful fields until it fits:
+ * the first touch's fields, then the whole first touch, then the same for the
+ * last touch. The affiliate id and campaign are always kept.
+ */
+
+const MAX_COOKIE_BYTES = 4096;
+
+// Least useful first; `at` is always short and stays
+const TOUCH_DROP_ORDER = [
+  'fbclid', 'gclid', 'utm_term', 'utm_content', 'referrer',
+  'utm_campaign', 'utm_medium', 'utm_source', 'landing',
+];
+
+/**
+ * The encoded cookie value for `record`, trimmed so that
+ * `${name}=${value}` stays within MAX_COOKIE_BYTES.
+ */
+export function fitAttributionValue(name, record) {
+  const limit = MAX_COOKIE_BYTES - name.length - 1;
+  const fitted = { ...record };
+  let value = encode(fitted);
+
+  for (const touchKey of ['first', 'last']) {
+    if (value.length <= limit) break;
+    if (!fitted[touchKey]) continue;
+    fitted[touchKey] = { ...fitted[touchKey] };
+    for (const field of TOUCH_DROP_ORDER) {
+      if (!(field in fitted[touchKey])) continue;
+      delete fitted[touchKey][field];
+      value = encode(fitted);
+      if (value.length <= limit) return value;
+    }
+    delete fitted[touchKey];
+    value = encode(fitted);
+  }
+  return value;
+}
+
+function encode(record) {
+  return encodeURIComponent(JSON.stringify(record));
+}
@@ -0,0 +1,61 @@
+/**
+ * vl_attr cookie size limit (worker/attribution-cookie.js).
+ *
+ * Usage:
+ *   node --experimental-default-type=module --test worker/attribution-cookie.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitAttributionValue } from './attribution-cookie.js';
+
+const NAME = 'vl_attr';
+const LIMIT = 4096 - NAME.length - 1;
+
+// Every field at the 150-character clip that worker/attribution.js applies
+function fullTouch(char) {
+  const value = char.repeat(150);
+  return {
+    utm_source: value, utm_medium: value, utm_campaign: value, utm_term: value, utm_content: value,
+    fbclid: value, gclid: value, click: 'fbclid', landing: '/beginners-course/a/', referrer: value, at: '2026-10-19',
+  };
+}
+
+function decode(value) {
+  return JSON.parse(decodeURIComponent(value));
+}
+
+test('a small record is stored unchanged', () => {
+  const record = { first: { landing: '/free-course/', at: '2026-10-19' }, affiliate_id: '12' };
+  assert.deepEqual(decode(fitAttributionValue(NAME, record)), record);
+});
+
+test('two full touches exceed the limit once encoded and are trimmed to fit', () => {
+  const record = { first: fullTouch('{'), last: fullTouch('a'), affiliate_id: '12', campaign: 'spring' };
+  assert.ok(encodeURIComponent(JSON.stringify(record)).length > LIMIT);
+
+  const value = fitAttributionValue(NAME, record);
+  assert.ok(value.length <= LIMIT, `${value.length} > ${LIMIT}`);
+
+  const fitted = decode(value);
+  assert.equal(fitted.affiliate_id, '12');
+  assert.equal(fitted.campaign, 'spring');
+  assert.deepEqual(fitted.last, record.last);
+  assert.equal(fitted.first.fbclid, undefined);
+});
+
+test('a value exactly at the limit is kept whole', () => {
+  const base = { first: { landing: '/a/' }, affiliate_id: '12' };
+  const padding = LIMIT - encodeURIComponent(JSON.stringify({ ...base, campaign: '' })).length;
+  const record = { ...base, campaign: 'x'.repeat(padding) };
+  const value = fitAttributionValue(NAME, record);
+  assert.equal(value.length, LIMIT);
+  assert.deepEqual(decode(value), record);
+});
+
+test('non-ASCII touches are dropped until the record fits', () => {
+  const record = { first: fullTouch('é'), last: fullTouch('漢'), affiliate_id: '12' };
+  const value = fitAttributionValue(NAME, record);
+  assert.ok(value.length <= LIMIT, `${value.length} > ${LIMIT}`);
+  assert.equal(decode(value).affiliate_id, '12');
+});
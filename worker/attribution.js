@@ -0,0 +1,170 @@
+/**
+ * First-party attribution record (vl_attr cookie).
+ *
+ * One place that decides where a visitor came from, so the signup modal
+ * and the buy-button passthrough send identical data:
+ *   first / last - touches: { utm_source, utm_medium, utm_campaign,
+ *                  utm_term, utm_content, fbclid, gclid, landing,
+ *                  referrer, at }
+ *   affiliate_id - ?a= (AFFWP_REF_VAR) / ?ref=, else the affwp cookie
+ *   campaign     - ?campaign=, else the affwp cookie
+ *   variant      - A/B arm of the page being served (not stored)
+ *   fallback_affiliate_id / fallback_rule - when there is no affiliate id,
+ *                  the AFFILIATE_FALLBACK rule that matched this page
+ *                  (worker/affiliate-fallback.js, not stored)
+ *
+ * `first` is written once, on the first page view. `last` is replaced by
+ * any later page view that carries campaign parameters, a click id, an
+ * affiliate id or an external referrer — plain navigation between our
+ * own pages keeps it. Click ids are ad identifiers, so they are only
+ * stored with marketing consent (worker/consent.js); `click` records which
+ * one was present either way, for the fallback rules.
+ *
+ * The cookie is HttpOnly like vl_vid; page scripts get the record from
+ * window.VL_ATTRIBUTION, read through /shared/attribution.js. Its encoded
+ * value is kept under the browser's 4 KB cookie limit by
+ * worker/attribution-cookie.js.
+ */
+
+import funnelMap from '../scripts/funnels.json';
+import { parseFunnelMap, funnelForVisit } from '../scripts/lib/funnels.js';
+import { fallbackAffiliate } from './affiliate-fallback.js';
+import { fitAttributionValue } from './attribution-cookie.js';
+
+export const ATTRIBUTION_COOKIE = 'vl_attr';
+
+// Same horizon as the affiliate cookies (browsers cap at 400 days anyway).
+const ATTRIBUTION_COOKIE_DAYS = 400;
+
+const CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const CLICK_ID_PARAMS = ['fbclid', 'gclid'];
+// Keeps one long value from crowding out the rest of the cookie
+// (attributionCookie still checks the encoded size)
+const MAX_VALUE_LENGTH = 150;
+const STORED_KEYS = ['first', 'last', 'affiliate_id', 'campaign'];
+const FUNNELS = parseFunnelMap(funnelMap);
+
+/**
+ * Attribution for this request.
+ * `options`: { refVar, experiment, consent, fallbackRules } — the
+ * affiliate URL parameter, resolveExperiment() and resolveConsent()
+ * results and the AFFILIATE_FALLBACK rules (matched with the page's
+ * funnel from scripts/funnels.json).
+ * Returns { attribution, changed } — set the cookie when changed.
+ */
+export function resolveAttribution(request, url, cookies, options) {
+  const stored = storedAttribution(cookies);
+  const touch = touchFromRequest(request, url, options.consent);
+  const affiliateId = firstParam(url, [options.refVar, 'ref']);
+  const campaign = url.searchParams.get('campaign');
+
+  const record = { ...stored };
+  let changed = false;
+  if (!record.first) {
+    record.first = touch;
+    record.last = touch;
+    changed = true;
+  } else if (touch.external || touch.click || affiliateId || Object.keys(touch).some(k => CAMPAIGN_PARAMS.includes(k))) {
+    record.last = touch;
+    changed = true;
+  }
+  delete touch.external;
+
+  const nextAffiliate = clip(affiliateId || cookies.affwp_affiliate_id || record.affiliate_id || '');
+  const nextCampaign = clip(campaign || cookies.affwp_campaign || record.campaign || '');
+  if (nextAffiliate !== (record.affiliate_id || '') || nextCampaign !== (record.campaign || '')) {
+    changed = true;
+  }
+  if (nextAffiliate) record.affiliate_id = nextAffiliate;
+  if (nextCampaign) record.campaign = nextCampaign;
+
+  const attribution = { ...record, variant: options.experiment ? options.experiment.variant : '' };
+  if (!attribution.affiliate_id) {
+    const funnel = funnelForVisit({ url: url.href }, 'landing', FUNNELS);
+    const fallback = fallbackAffiliate(options.fallbackRules || [], attribution.last, funnel);
+    if (fallback && fallback.affiliate_id) {
+      attribution.fallback_affiliate_id = fallback.affiliate_id;
+      attribution.fallback_rule = fallback.rule;
+    }
+  }
+  return { attribution, changed };
+}
+
+/**
+ * The record stored in the vl_attr cookie, or {} if missing / unreadable
+ * (parseCookies has already URI-decoded the value).
+ */
+export function storedAttribution(cookies) {
+  const value = cookies[ATTRIBUTION_COOKIE];
+  if (!value) return {};
+  try {
+    const record = JSON.parse(value);
+    return record && typeof record === 'object' && !Array.isArray(record) ? record : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Set-Cookie value storing the record (without the per-page fields),
+ * trimmed to fit the browser's cookie size limit.
+ */
+export function attributionCookie(attribution) {
+  const record = {};
+  for (const key of STORED_KEYS) {
+    if (attribution[key]) record[key] = attribution[key];
+  }
+  const value = fitAttributionValue(ATTRIBUTION_COOKIE, record);
+  return `${ATTRIBUTION_COOKIE}=${value}; Path=/; Max-Age=${ATTRIBUTION_COOKIE_DAYS * 86400}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * Inline <script> exposing the record to page scripts. Values come from
+ * URLs, so "<" is escaped to keep them from closing the script tag.
+ */
+export function attributionScript(attribution) {
+  return `<script>window.VL_ATTRIBUTION=${JSON.stringify(attribution).replace(/</g, '\\u003c')};</script>`;
+}
+
+function touchFromRequest(request, url, consent) {
+  const touch = {};
+  for (const key of CAMPAIGN_PARAMS) {
+    const value = url.searchParams.get(key);
+    if (value) touch[key] = clip(value);
+  }
+  for (const key of CLICK_ID_PARAMS) {
+    const value = url.searchParams.get(key);
+    if (!value) continue;
+    if (consent && consent.marketing) touch[key] = clip(value);
+    if (!touch.click) touch.click = key;
+  }
+  touch.landing = url.pathname;
+
+  const referrerHost = hostOf(request.headers.get('Referer'));
+  if (referrerHost && referrerHost !== url.hostname) {
+    touch.referrer = referrerHost;
+    touch.external = true;
+  }
+  touch.at = new Date().toISOString().substring(0, 10);
+  return touch;
+}
+
+function firstParam(url, names) {
+  for (const name of names) {
+    const value = name && url.searchParams.get(name);
+    if (value) return value;
+  }
+  return '';
+}
+
+function hostOf(value) {
+  try {
+    return value ? new URL(value).hostname : '';
+  } catch {
+    return '';
+  }
+}
+
+function clip(value) {
+  return String(value).substring(0, MAX_VALUE_LENGTH);
+}
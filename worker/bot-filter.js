@@ -0,0 +1,133 @@
+/**
+ * Edge-side bot classification for affiliate visit tracking.
+ *
+ * Crawlers, link unfurlers (Facebook / Slack / WhatsApp previews) and uptime
+ * checkers all fetch landing pages with ?a= in the URL. If the worker treats
+ * them like people, every preview creates an AffiliateWP visit record and the
+ * LP → OF rate looks far worse than it really is (see PROJECT-STATE.md,
+ * "A/B Testing — ALWAYS client-side").
+ *
+ * classifyRequest() looks at the cheapest signals first and returns the
+ * first one that matches, so the reason recorded for a suppressed visit is
+ * always the most specific one available.
+ */
+
+// User-agent fragments (lowercase) for non-human clients that routinely hit
+// ad landing pages. Order matters only for the reason label.
+const BOT_UA_SIGNATURES = [
+  // Link unfurlers / social previews
+  'facebookexternalhit', 'facebookcatalog', 'meta-externalagent', 'meta-externalfetcher',
+  'slackbot', 'slack-imgproxy', 'whatsapp', 'telegrambot', 'discordbot', 'twitterbot',
+  'linkedinbot', 'pinterestbot', 'skypeuripreview', 'redditbot', 'embedly', 'iframely',
+  'applebot', 'google-inspectiontool', 'googleother', 'adsbot-google', 'mediapartners-google',
+  // Search engine crawlers
+  'googlebot', 'bingbot', 'yandexbot', 'duckduckbot', 'baiduspider', 'petalbot', 'seznambot',
+  // SEO / scraping tools
+  'ahrefsbot', 'semrushbot', 'mj12bot', 'dotbot', 'bytespider', 'gptbot', 'ccbot',
+  'claudebot', 'perplexitybot', 'amazonbot', 'dataforseobot',
+  // Uptime checkers / monitoring
+  'uptimerobot', 'pingdom', 'statuscake', 'site24x7', 'betteruptime', 'better stack',
+  'cloudflare-healthchecks', 'newrelicpinger', 'datadog',
+  // Generic HTTP clients and headless browsers
+  'headlesschrome', 'phantomjs', 'python-requests', 'python-urllib', 'aiohttp', 'curl/',
+  'wget/', 'go-http-client', 'okhttp', 'java/', 'node-fetch', 'axios/', 'undici',
+  'libwww-perl', 'scrapy',
+  // Catch-alls — keep last so named tools win the reason label
+  'bot/', 'crawler', 'spider',
+];
+
+// Cloudflare Bot Management score at or below which a request is treated as
+// automated. 1 = definitely automated, 99 = definitely human. Override with
+// the BOT_SCORE_THRESHOLD var.
+const DEFAULT_BOT_SCORE_THRESHOLD = 29;
+
+/**
+ * Classify a request as human or bot.
+ * Returns { isBot: boolean, reason: string|null }.
+ */
+export function classifyRequest(request, env) {
+  const headers = request.headers;
+
+  // HEAD requests never render a page — uptime checkers and link validators.
+  if (request.method === 'HEAD') {
+    return { isBot: true, reason: 'head_request' };
+  }
+
+  // Cloudflare's own verdicts, when the zone has them available.
+  const cf = request.cf || {};
+  if (cf.verifiedBotCategory) {
+    return { isBot: true, reason: `verified_bot:${slug(cf.verifiedBotCategory)}` };
+  }
+  const botManagement = cf.botManagement || {};
+  if (botManagement.verifiedBot) {
+    return { isBot: true, reason: 'verified_bot' };
+  }
+  const threshold = parseInt(env.BOT_SCORE_THRESHOLD || DEFAULT_BOT_SCORE_THRESHOLD, 10);
+  if (typeof botManagement.score === 'number' && botManagement.score > 0 && botManagement.score <= threshold) {
+    return { isBot: true, reason: 'bot_score' };
+  }
+
+  const userAgent = (headers.get('user-agent') || '').toLowerCase();
+  if (!userAgent) {
+    return { isBot: true, reason: 'missing_user_agent' };
+  }
+  const signature = BOT_UA_SIGNATURES.find(sig => userAgent.includes(sig));
+  if (signature) {
+    return { isBot: true, reason: `ua:${slug(signature)}` };
+  }
+
+  // Every real browser sends Accept-Language on a top-level navigation.
+  if (!headers.get('accept-language')) {
+    return { isBot: true, reason: 'missing_accept_language' };
+  }
+
+  return { isBot: false, reason: null };
+}
+
+/**
+ * Browser speculative prefetch / prerender (Chrome omnibox and Speculation
+ * Rules, Safari, Firefox). Not a bot, but the visitor may never see the
+ * page: the worker must not create a visit for it on the HTML fetch. Its
+ * response becomes the navigation if the page is opened, so no second
+ * request arrives — trackAffiliateVisit defers the visit to the page's JS
+ * beacon instead, which only runs once the page is shown.
+ */
+export function isSpeculativeLoad(request) {
+  const headers = request.headers;
+  const purpose = (headers.get('sec-purpose') || headers.get('purpose') || headers.get('x-moz') || '').toLowerCase();
+  return purpose.includes('prefetch') || purpose.includes('prerender');
+}
+
+/**
+ * Record a suppressed affiliate visit so we can see how many were skipped
+ * and why. Always logs (visible in `wrangler tail`); also writes a data point
+ * to the BOT_STATS Analytics Engine dataset when that binding exists, which
+ * can be queried with SQL, e.g.:
+ *
+ *   SELECT blob1 AS reason, SUM(_sample_interval) AS visits
+ *   FROM bot_suppressed_visits
+ *   WHERE timestamp > NOW() - INTERVAL '7' DAY
+ *   GROUP BY reason ORDER BY visits DESC
+ */
+export function recordSuppressedVisit(env, url, affiliateId, reason) {
+  console.log('[Bot] Suppressed affiliate visit:', reason, url.pathname, `affiliate=${affiliateId}`);
+
+  if (env.BOT_STATS && typeof env.BOT_STATS.writeDataPoint === 'function') {
+    try {
+      env.BOT_STATS.writeDataPoint({
+        indexes: [reason],
+        blobs: [reason, url.pathname, String(affiliateId || '')],
+        doubles: [1],
+      });
+    } catch (err) {
+      console.error('[Bot] Failed to write analytics data point:', err.message);
+    }
+  }
+}
+
+/**
+ * Normalise a label for use in a reason string: 'Search Engine Crawler' -> 'search_engine_crawler'
+ */
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
@@ -0,0 +1,70 @@
+/**
+ * Visitor consent, as chosen in the banner from shared/consent.js.
+ *
+ * The page stores the choice in the vl_consent cookie
+ * ("analytics:granted|marketing:denied"). Server-side events check it
+ * before they leave Cloudflare:
+ *   marketing - Meta Conversions API (/api/track, /api/fb-event, Lead)
+ *   analytics - GA4 Measurement Protocol
+ *
+ * Without a stored choice, consent is denied where it is required before
+ * tracking (UK, Crown Dependencies, EEA, Switzerland — and unknown
+ * countries) and granted elsewhere. The same rule is passed to the page
+ * as window.VL_CONSENT_REQUIRED so the banner and the server agree.
+ */
+
+export const CONSENT_COOKIE = 'vl_consent';
+
+const CATEGORIES = ['analytics', 'marketing'];
+
+// Countries where trackers wait for opt-in (request.cf.country)
+const CONSENT_COUNTRIES = new Set([
+  'GB', 'IM', 'JE', 'GG',
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+  'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE',
+  'IS', 'LI', 'NO', 'CH',
+]);
+
+/**
+ * True when this visitor must opt in before any tracking.
+ */
+export function consentRequired(request) {
+  const country = request.cf && request.cf.country;
+  if (!country || country === 'XX' || country === 'T1') return true;
+  return CONSENT_COUNTRIES.has(country);
+}
+
+/**
+ * Consent for this request: { analytics, marketing, stored }.
+ * Reads the Cookie header directly so Pages Functions can use it too.
+ */
+export function resolveConsent(request) {
+  const match = new RegExp(`(?:^|;\\s*)${CONSENT_COOKIE}=([^;]*)`).exec(request.headers.get('Cookie') || '');
+  if (match) {
+    const state = {};
+    for (const part of safeDecode(match[1]).split('|')) {
+      const [category, value] = part.split(':');
+      if (CATEGORIES.includes(category)) state[category] = value === 'granted';
+    }
+    if (CATEGORIES.every(c => c in state)) return { ...state, stored: true };
+  }
+
+  const granted = !consentRequired(request);
+  return { analytics: granted, marketing: granted, stored: false };
+}
+
+/**
+ * Inline <script> telling shared/consent.js whether to wait for opt-in.
+ * Prepended to <head> so it runs before the consent script.
+ */
+export function consentScript(request) {
+  return `<script>window.VL_CONSENT_REQUIRED=${consentRequired(request)};</script>`;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Experiment tagging for client-routed A/B tests.
+ *
+ * shared/ab-router.js sends each visitor from a funnel's router page to an
+ * arm page (/free-course/b/). When the worker serves an arm page it looks
+ * the path up in the same shared/experiments.json and prepends one script
+ * to <head> that:
+ *   - sets window.VL_EXPERIMENT = { id, variant, assigned }
+ *     (assigned: the visitor's assignment cookie names this arm — false
+ *     for QA overrides and direct links)
+ *   - tags Clarity: clarity('set', 'ab_<id>', variant)
+ *   - sets the GA4 user property ab_<id> = variant
+ * shared/fb-events.js adds { experiment, variant } to every Pixel / CAPI
+ * event, and handleBuy passes ?variant= to the order form for the CRO
+ * report — so arm pages never hard-code their own label.
+ *
+ * Clarity and gtag are called through the same queue stubs their snippets
+ * install, so the calls wait for the scripts (and for consent).
+ *
+ * Router pages (an experiment's `path`) get that experiment's manifest
+ * entry inlined as window.VL_EXPERIMENTS, so ab-router.js can redirect
+ * synchronously from <head> instead of fetching experiments.json first.
+ */
+
+import manifest from '../shared/experiments.json';
+
+/**
+ * The experiment arm a page path belongs to, or null.
+ * Returns { id, variant, assigned }.
+ */
+export function resolveExperiment(pathname, cookies) {
+  const path = normalisePath(pathname);
+  for (const [id, experiment] of Object.entries(manifest.experiments || {})) {
+    const arm = (experiment.variants || []).find(v => normalisePath(v.path) === path);
+    if (arm) return { id, variant: arm.name, assigned: cookies[experiment.cookie] === arm.name };
+  }
+  return null;
+}
+
+/**
+ * Inline <script> with the manifest entries routed from this page, or null
+ * when the page is not an experiment's router page.
+ */
+export function routerManifestScript(pathname) {
+  const path = normalisePath(pathname);
+  const experiments = {};
+  for (const [id, experiment] of Object.entries(manifest.experiments || {})) {
+    if (normalisePath(experiment.path || '') === path) experiments[id] = experiment;
+  }
+  if (!Object.keys(experiments).length) return null;
+  return `<script>window.VL_EXPERIMENTS=${JSON.stringify({ experiments }).replace(/</g, '\\u003c')};</script>`;
+}
+
+/**
+ * Inline <script> exposing the arm and tagging Clarity and GA4. Prepended
+ * to <head> so it runs before the page's own tracking snippets.
+ */
+export function experimentScript(experiment) {
+  const key = `ab_${experiment.id.replace(/[^A-Za-z0-9]/g, '_')}`.substring(0, 24);
+  const value = JSON.stringify(experiment.variant);
+  return '<script>'
+    + `window.VL_EXPERIMENT=${JSON.stringify(experiment)};`
+    + 'window.clarity=window.clarity||function(){(clarity.q=clarity.q||[]).push(arguments)};'
+    + `clarity('set',${JSON.stringify(key)},${value});`
+    // gtag() only reads arguments objects from dataLayer, not arrays
+    + 'window.dataLayer=window.dataLayer||[];'
+    + `(function(){dataLayer.push(arguments)})('set','user_properties',{${JSON.stringify(key)}:${value}});`
+    + '</script>';
+}
+
+// /free-course/a/ and /free-course/a/index.html name one page
+function normalisePath(pathname) {
+  return pathname.replace(/(?:index)?(?:\.html)?$/, '').replace(/\/+$/, '');
+}
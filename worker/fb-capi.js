@@ -0,0 +1,312 @@
+/**
+ * Facebook Conversions API (server-side events).
+ *
+ * Pixel ids and access tokens come from env bindings, never from source —
+ * this repo is public and its files are served as static assets.
+ *   FB_PIXELS                - pixel ids per funnel (vars), e.g.
+ *                              { "default": ["453207863234417"],
+ *                                "landscape-course": ["453207863234417", "<second pixel>"] }
+ *                              A funnel without its own entry uses "default".
+ *   FB_PIXEL_ID              - single-pixel shorthand when FB_PIXELS is unset (vars)
+ *   FB_CAPI_TOKEN            - access token used for every pixel (secret)
+ *   FB_CAPI_TOKEN_<pixel id> - token for one pixel, overriding FB_CAPI_TOKEN (secret)
+ *
+ * Fails closed: if the funnel has no pixel, or any of its pixels has no
+ * token, nothing is sent and the caller gets a `not_configured` error.
+ * Facebook's response is logged here and never passed back to the browser.
+ *
+ * The funnel is the first path segment of the page URL
+ * (/landscape-course/a/ -> "landscape-course"), or an explicit `funnel`.
+ *
+ * The browser endpoints (/api/fb-event, /api/track) are public, so they only
+ * relay what the landing pages send: BROWSER_EVENTS, custom_data limited to
+ * CUSTOM_DATA_KEYS (no value / currency — nobody can inject a Purchase),
+ * and only from the landing pages' own origin (browserOriginError).
+ */
+
+import { resolveConsent } from './consent.js';
+
+const GRAPH_API_VERSION = 'v21.0';
+const MAX_EVENT_AGE_S = 7 * 24 * 60 * 60;
+
+const JSON_HEADERS = {
+  'Content-Type': 'application/json; charset=UTF-8',
+  'Cache-Control': 'no-store',
+};
+
+// Events the landing pages send through vlTrack
+export const BROWSER_EVENTS = ['PageView', 'ViewContent', 'Lead', 'InitiateCheckout'];
+
+// custom_data keys the pages set (content_name on the Lead; experiment and
+// variant added by shared/fb-events.js)
+const CUSTOM_DATA_KEYS = ['content_name', 'content_category', 'experiment', 'variant'];
+
+// Besides the serving origin itself (preview deployments)
+const LANDING_ORIGINS = ['https://go.urbansketchcourse.com'];
+
+/**
+ * Pixels (with tokens) to send a funnel's events to.
+ * Returns { pixels: [{ id, token }] } or { error } when unconfigured.
+ */
+export function resolvePixels(env, funnel) {
+  const map = pixelMap(env);
+  const ids = (funnel && map[funnel]) || map.default || [];
+  if (!ids.length) {
+    return { error: `No Facebook pixel configured for funnel "${funnel || 'default'}" (set FB_PIXELS or FB_PIXEL_ID)` };
+  }
+
+  const pixels = [];
+  for (const id of ids) {
+    const token = env[`FB_CAPI_TOKEN_${id}`] || env.FB_CAPI_TOKEN;
+    if (!token) return { error: `No CAPI access token for pixel ${id} (set FB_CAPI_TOKEN)` };
+    pixels.push({ id: String(id), token });
+  }
+  return { pixels };
+}
+
+/**
+ * Send one server event to every pixel of a funnel.
+ * `event` is a CAPI event object ({ event_name, event_time, user_data, ... }).
+ * Returns { ok, sent, code?, error? } — `sent` counts pixels that accepted it.
+ */
+export async function sendCapiEvent(env, funnel, event) {
+  const { pixels, error } = resolvePixels(env, funnel);
+  if (error) {
+    console.error('[CAPI]', error);
+    return { ok: false, sent: 0, code: 'not_configured', error };
+  }
+
+  let sent = 0;
+  for (const pixel of pixels) {
+    try {
+      const resp = await fetch(`https://graph.facebook.com/${GRAPH_API_VERSION}/${pixel.id}/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data: [event], access_token: pixel.token }),
+      });
+      if (resp.ok) {
+        sent++;
+      } else {
+        console.error('[CAPI] Facebook error for pixel', pixel.id, resp.status, (await resp.text()).substring(0, 300));
+      }
+    } catch (err) {
+      console.error('[CAPI] Request failed for pixel', pixel.id, err.message);
+    }
+  }
+
+  return sent === pixels.length
+    ? { ok: true, sent }
+    : { ok: false, sent, code: 'capi_failed', error: 'Facebook did not accept the event' };
+}
+
+/**
+ * Customer information for CAPI user_data, normalised and SHA-256 hashed
+ * per Meta's spec: { email, first_name, external_id } -> { em, fn, external_id }.
+ * Missing or empty fields are left out.
+ */
+export async function hashUserData({ email, first_name, external_id } = {}) {
+  const fields = {
+    em: typeof email === 'string' && email.includes('@') ? email.trim().toLowerCase() : '',
+    // Lowercase letters only: no spaces, punctuation or digits
+    fn: typeof first_name === 'string' ? first_name.normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}]/gu, '') : '',
+    external_id: external_id !== undefined && external_id !== null ? String(external_id).trim() : '',
+  };
+
+  const hashed = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value) hashed[key] = await sha256(value);
+  }
+  return hashed;
+}
+
+/**
+ * Funnel key for a page URL: its first path segment, or null.
+ */
+export function funnelFromUrl(pageUrl) {
+  try {
+    return new URL(pageUrl).pathname.split('/').filter(Boolean)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * CAPI event for a browser event envelope — the JSON body of /api/fb-event
+ * and /api/track:
+ *   { event_name, event_id, event_time, event_source_url, custom_data,
+ *     user_data, user_agent, fbc, fbp, funnel }
+ * Forwards the client's event_id (shared with the Pixel call, so Meta
+ * deduplicates the two), the allowed custom_data keys and event_time.
+ * Check the envelope with envelopeError() first. A `user_data`
+ * object ({ email, first_name, external_id }) is hashed here; the plain
+ * values are never forwarded or logged.
+ * Returns { funnel, event }.
+ */
+export async function capiEventFromEnvelope(request, body) {
+  const { event_name, event_id, event_time, custom_data, event_source_url, user_agent, fbc, fbp } = body;
+  const funnel = body.funnel || funnelFromUrl(event_source_url || request.headers.get('Referer') || '');
+
+  const user_data = {
+    client_ip_address: request.headers.get('CF-Connecting-IP') || '',
+    client_user_agent: user_agent || request.headers.get('User-Agent') || '',
+  };
+  if (fbc) user_data.fbc = fbc;
+  if (fbp) user_data.fbp = fbp;
+  if (body.user_data && typeof body.user_data === 'object') {
+    Object.assign(user_data, await hashUserData(body.user_data));
+  }
+
+  const event = {
+    event_name: BROWSER_EVENTS.includes(event_name) ? event_name : 'PageView',
+    event_time: eventTime(event_time),
+    event_source_url: event_source_url || '',
+    action_source: 'website',
+    user_data,
+  };
+  // event_id must equal the Pixel's eventID for Meta to deduplicate the pair
+  if (event_id) event.event_id = String(event_id).substring(0, 100);
+  const customData = browserCustomData(custom_data);
+  if (Object.keys(customData).length) event.custom_data = customData;
+
+  return { funnel, event };
+}
+
+/**
+ * Why a browser event envelope can't be relayed, as { code, error }, or
+ * null when it can. A missing event_name means PageView.
+ */
+export function envelopeError(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { code: 'invalid_event', error: 'Request body must be an event object' };
+  }
+  if (body.event_name !== undefined && !BROWSER_EVENTS.includes(body.event_name)) {
+    return { code: 'invalid_event', error: `event_name must be one of ${BROWSER_EVENTS.join(', ')}` };
+  }
+  return null;
+}
+
+/**
+ * The allowed custom_data keys of a browser event, as short strings.
+ */
+export function browserCustomData(customData) {
+  const data = {};
+  if (!customData || typeof customData !== 'object' || Array.isArray(customData)) return data;
+  for (const key of CUSTOM_DATA_KEYS) {
+    const value = customData[key];
+    if (typeof value === 'string' || typeof value === 'number') data[key] = String(value).substring(0, 100);
+  }
+  return data;
+}
+
+/**
+ * CORS headers for a browser endpoint: the request's Origin is echoed when
+ * it is a landing page (or the serving origin), never "*".
+ */
+export function corsHeaders(request) {
+  const origin = request.headers.get('Origin');
+  return origin && isLandingOrigin(request, origin)
+    ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }
+    : { 'Vary': 'Origin' };
+}
+
+/**
+ * Error response body for a browser request from another site, or null.
+ * Requests without an Origin header (same-origin GETs, servers) pass.
+ */
+export function browserOriginError(request) {
+  const origin = request.headers.get('Origin');
+  if (!origin || isLandingOrigin(request, origin)) return null;
+  return { code: 'forbidden_origin', error: 'Events are only accepted from the landing pages' };
+}
+
+/**
+ * CORS preflight for the browser event endpoints.
+ */
+export function browserEventPreflight(request) {
+  return new Response(null, {
+    status: browserOriginError(request) ? 403 : 204,
+    headers: {
+      ...corsHeaders(request),
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
+
+/**
+ * Handle POST /api/fb-event (Meta only; /api/track fans the same
+ * envelope out to every destination — see worker/track.js).
+ * Nothing is sent without marketing consent (worker/consent.js).
+ */
+export async function handleFbEvent(request, env) {
+  const originError = browserOriginError(request);
+  if (originError) return jsonResponse(request, { success: false, ...originError }, 403);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse(request, { success: false, code: 'invalid_json', error: 'Request body must be JSON' }, 400);
+  }
+  const invalid = envelopeError(body);
+  if (invalid) return jsonResponse(request, { success: false, ...invalid }, 400);
+  if (!resolveConsent(request).marketing) {
+    return jsonResponse(request, { success: true, sent: 0, skipped: 'no_consent' }, 200);
+  }
+
+  const { funnel, event } = await capiEventFromEnvelope(request, body);
+  const result = await sendCapiEvent(env, funnel, event);
+
+  if (result.ok) return jsonResponse(request, { success: true, sent: result.sent }, 200);
+  const status = result.code === 'not_configured' ? 503 : 502;
+  return jsonResponse(request, { success: false, code: result.code, error: result.error }, status);
+}
+
+/**
+ * CORS preflight for /api/fb-event.
+ */
+export function fbEventPreflight(request) {
+  return browserEventPreflight(request);
+}
+
+// FB_PIXELS may arrive as an object (wrangler vars) or a JSON string (dashboard)
+function pixelMap(env) {
+  let map = env.FB_PIXELS;
+  if (typeof map === 'string') {
+    try {
+      map = JSON.parse(map);
+    } catch {
+      console.error('[CAPI] FB_PIXELS is not valid JSON');
+      map = null;
+    }
+  }
+  if (!map && env.FB_PIXEL_ID) map = { default: [env.FB_PIXEL_ID] };
+
+  const normalised = {};
+  for (const [funnel, ids] of Object.entries(map || {})) {
+    normalised[funnel] = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+  }
+  return normalised;
+}
+
+// The browser's event time (unix seconds) when plausible, else now. Meta
+// rejects events from the future or more than 7 days old.
+function eventTime(clientTime) {
+  const now = Math.floor(Date.now() / 1000);
+  const t = Number(clientTime);
+  if (!Number.isInteger(t) || t > now + 60 || t < now - MAX_EVENT_AGE_S) return now;
+  return Math.min(t, now);
+}
+
+async function sha256(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function isLandingOrigin(request, origin) {
+  return origin === new URL(request.url).origin || LANDING_ORIGINS.includes(origin);
+}
+
+function jsonResponse(request, body, status) {
+  return new Response(JSON.stringify(body), { status, headers: { ...JSON_HEADERS, ...corsHeaders(request) } });
+}
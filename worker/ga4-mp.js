@@ -0,0 +1,97 @@
+/**
+ * GA4 Measurement Protocol (server-side events).
+ *
+ *   GA4_MEASUREMENT_ID - web stream id, e.g. "G-1RW2BSDWK0" (vars)
+ *   GA4_API_SECRET     - Measurement Protocol API secret, created under
+ *                        Admin > Data streams > (stream) > Measurement
+ *                        Protocol API secrets (secret)
+ *
+ * Events are tied to the browser's GA4 session through the client id in
+ * the _ga cookie and the session id in _ga_<stream>. When gtag was blocked
+ * there is no _ga cookie; the caller's fallback id (the vl_vid visitor id)
+ * is used so the event is still counted, as a new user.
+ *
+ * Like worker/fb-capi.js, failures are logged here and reported as
+ * { ok: false, code } — Google's response never reaches the browser.
+ */
+
+const MP_ENDPOINT = 'https://www.google-analytics.com/mp/collect';
+
+/**
+ * True when both the stream id and API secret are set.
+ */
+export function ga4Configured(env) {
+  return Boolean(env.GA4_MEASUREMENT_ID && env.GA4_API_SECRET);
+}
+
+/**
+ * GA4 client id from the _ga cookie ("GA1.1.<random>.<timestamp>"), or null.
+ */
+export function gaClientId(cookies) {
+  const match = /^GA\d\.\d\.(\d+\.\d+)$/.exec(cookies._ga || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * GA4 session id from the stream's _ga_<id> cookie, or null.
+ * Handles both the "GS1.1.<session>.…" and "GS2.1.s<session>$o…" formats.
+ */
+export function gaSessionId(cookies, measurementId) {
+  const value = cookies[`_ga_${String(measurementId || '').replace(/^G-/, '')}`] || '';
+  const match = /^GS1\.\d\.(\d+)\./.exec(value) || /^GS2\.\d\.s(\d+)/.exec(value);
+  return match ? match[1] : null;
+}
+
+/**
+ * Send events to GA4. `events` is [{ name, params }]; `adConsent` is the
+ * visitor's marketing consent, sent as Consent Mode's ad_user_data /
+ * ad_personalization.
+ * Returns { ok, code?, error? }.
+ */
+export async function sendGa4Event(env, { cookies = {}, fallbackClientId, events, adConsent = false }) {
+  if (!ga4Configured(env)) {
+    const error = 'GA4 Measurement Protocol not configured (set GA4_MEASUREMENT_ID and GA4_API_SECRET)';
+    console.error('[GA4]', error);
+    return { ok: false, code: 'not_configured', error };
+  }
+
+  const clientId = gaClientId(cookies) || fallbackClientId;
+  if (!clientId) {
+    console.error('[GA4] No client id (no _ga cookie and no fallback) - event skipped');
+    return { ok: false, code: 'no_client_id', error: 'No GA4 client id' };
+  }
+
+  const sessionId = gaSessionId(cookies, env.GA4_MEASUREMENT_ID);
+  const ads = adConsent ? 'GRANTED' : 'DENIED';
+  const body = {
+    client_id: clientId,
+    consent: { ad_user_data: ads, ad_personalization: ads },
+    events: events.map(e => ({
+      name: e.name,
+      params: {
+        ...(sessionId ? { session_id: sessionId } : {}),
+        engagement_time_msec: 1,
+        ...e.params,
+      },
+    })),
+  };
+
+  const url = `${MP_ENDPOINT}?measurement_id=${encodeURIComponent(env.GA4_MEASUREMENT_ID)}&api_secret=${encodeURIComponent(env.GA4_API_SECRET)}`;
+  try {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    // /mp/collect answers 2xx even for malformed events; non-2xx means the
+    // request itself was refused (bad secret, rate limit).
+    if (!resp.ok) {
+      console.error('[GA4] Measurement Protocol error', resp.status, (await resp.text()).substring(0, 300));
+      return { ok: false, code: 'ga4_failed', error: 'GA4 did not accept the event' };
+    }
+    return { ok: true };
+  } catch (err) {
+    console.error('[GA4] Request failed:', err.message);
+    return { ok: false, code: 'ga4_failed', error: 'GA4 did not accept the event' };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Regional pricing rendered at the edge.
+ *
+ * Paid landing pages mark every price with a class (.priceOffer,
+ * .priceFull, .priceBonus1, ...) and every "colour" with .priceColour /
+ * .priceColourCap. The worker fills them in from the product catalogue
+ * (shared/products.json, rules in scripts/lib/catalogue.js) for the
+ * visitor's region, so the first paint already shows the right currency —
+ * no USD flash, no third-party geo lookup.
+ *
+ * The region comes from request.cf.country, matched against each
+ * region's country list in the catalogue; unmatched or unknown countries
+ * get defaultRegion. ?country=GB (any ISO code) overrides it for QA.
+ *
+ * The page also gets window.VL_PRICING = { country, region, currency,
+ * product, checkout } — handleBuy sends the visitor to `checkout`.
+ */
+
+import catalogue from '../shared/products.json';
+import { regionForCountry, pageEntry, priceTexts, checkoutUrl } from '../scripts/lib/catalogue.js';
+
+/**
+ * Pricing for an HTML request, or null when the page has no price table.
+ * Returns { script, text: [[selector, value]], override }.
+ */
+export function geoPricing(request, url) {
+  const entry = pageEntry(catalogue, url.pathname);
+  if (!entry) return null;
+
+  const override = countryOverride(url);
+  const country = override || (request.cf && request.cf.country) || 'XX';
+  const region = regionForCountry(catalogue, country);
+
+  const text = Object.entries(priceTexts(catalogue, entry, region)).map(([cls, value]) => [`.${cls}`, value]);
+
+  const pricing = { country, region, currency: catalogue.regions[region].currency };
+  if (entry.product) {
+    pricing.product = entry.key;
+    pricing.checkout = checkoutUrl(entry.product, region);
+  }
+  const script = `<script>window.VL_PRICING=${JSON.stringify(pricing)};</script>`;
+  return { script, text, override: Boolean(override) };
+}
+
+function countryOverride(url) {
+  const value = (url.searchParams.get('country') || '').toUpperCase();
+  return /^[A-Z]{2}$/.test(value) ? value : null;
+}
@@ -0,0 +1,95 @@
+/**
+ * Server-side Lead conversion for /api/register.
+ *
+ * The browser used to be the only source of the Lead: fbq, sendCAPI and
+ * gtag had to run before the page navigated to the auto-login URL, and ad
+ * blockers dropped them outright. proxyRegister now sends the Lead itself
+ * (ctx.waitUntil, after the response) as soon as the MU-plugin reports a
+ * new signup ({ ok: true, existing: false }):
+ *   Meta  - CAPI "Lead" with hashed email / first name / WP user id
+ *           (worker/fb-capi.js), plus fbc/fbp, IP and UA from the request
+ *   GA4   - Measurement Protocol "generate_lead" (worker/ga4-mp.js)
+ *
+ * The page generates the Lead's event_id before submitting and sends it
+ * as `event_id` in the register payload. The CAPI event uses that id and
+ * the page's Pixel Lead uses it as eventID, so Meta keeps one of the two.
+ *
+ * The register response gains `tracked: { meta, ga4 }` saying which
+ * destinations the server is handling. The page skips its own CAPI call
+ * and gtag event for those; GA4 has no event_id deduplication, so gtag
+ * must not fire when the server already did.
+ */
+
+import { resolvePixels, sendCapiEvent, hashUserData, funnelFromUrl } from './fb-capi.js';
+import { ga4Configured, sendGa4Event } from './ga4-mp.js';
+import { VISITOR_COOKIE } from './visitor-id.js';
+import { resolveConsent } from './consent.js';
+
+/**
+ * Destinations the server will send a Lead to for this request: those
+ * configured and consented to (worker/consent.js).
+ */
+export function leadDestinations(request, env) {
+  const funnel = funnelFromUrl(request.headers.get('Referer') || '');
+  const consent = resolveConsent(request);
+  return {
+    meta: consent.marketing && !resolvePixels(env, funnel).error,
+    ga4: consent.analytics && ga4Configured(env),
+  };
+}
+
+/**
+ * Send the Lead to every destination in `tracked`.
+ * `registration` is the browser's register payload, `result` the
+ * MU-plugin's JSON response. Never throws.
+ */
+export async function sendServerLead(request, env, cookies, registration, result, tracked) {
+  const pageUrl = request.headers.get('Referer') || '';
+  const funnel = funnelFromUrl(pageUrl);
+  const eventId = String(registration.event_id || '').substring(0, 100) || crypto.randomUUID();
+  const lead = {
+    content_name: registration.funnel_tag || funnel || '',
+    variant: registration.variant || '',
+  };
+
+  const jobs = [];
+  if (tracked.meta) {
+    jobs.push((async () => {
+      const user_data = {
+        client_ip_address: request.headers.get('CF-Connecting-IP') || '',
+        client_user_agent: request.headers.get('User-Agent') || '',
+        ...(await hashUserData({ email: registration.email, first_name: registration.first_name, external_id: result.user_id })),
+      };
+      if (cookies._fbc) user_data.fbc = cookies._fbc;
+      if (cookies._fbp) user_data.fbp = cookies._fbp;
+
+      const sent = await sendCapiEvent(env, funnel, {
+        event_name: 'Lead',
+        event_id: eventId,
+        event_time: Math.floor(Date.now() / 1000),
+        event_source_url: pageUrl,
+        action_source: 'website',
+        user_data,
+        custom_data: lead,
+      });
+      if (!sent.ok) console.error('[Lead] CAPI Lead not sent:', sent.code);
+    })());
+  }
+
+  if (tracked.ga4) {
+    jobs.push(sendGa4Event(env, {
+      cookies,
+      fallbackClientId: cookies[VISITOR_COOKIE],
+      events: [{ name: 'generate_lead', params: { ...lead, event_id: eventId } }],
+      adConsent: resolveConsent(request).marketing,
+    }).then(sent => {
+      if (!sent.ok) console.error('[Lead] GA4 generate_lead not sent:', sent.code);
+    }));
+  }
+
+  try {
+    await Promise.all(jobs);
+  } catch (err) {
+    console.error('[Lead] Server-side Lead failed:', err.message);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Weekly CRO report and daily anomaly monitor on cron triggers.
+ *
+ * Runs the same report computation as `node scripts/pull-affwp-data.js`
+ * (scripts/lib/report.js + render.js, funnels.json, rules.json) inside the
+ * worker, so the weekly report exists without anyone running it locally.
+ * Each run:
+ *   1. fetches the period's visits and referrals from the AffiliateWP API
+ *   2. builds the report for the CRO_REPORT_DAYS whole UK days ending
+ *      yesterday (a Monday-morning cron reports Mon-Sun)
+ *   3. stores it in KV and/or R2
+ *   4. posts a short summary to CRO_REPORT_WEBHOOK_URL
+ *
+ * The daily MONITOR_CRON run checks yesterday against the monitor rules
+ * (scripts/lib/monitor.js) and posts any alerts to the same webhook, so a
+ * broken signup or tracking layer is noticed the next morning.
+ *
+ * Bindings / config (wrangler.jsonc), all optional:
+ *   CRO_REPORTS             - KV: report:<start date> and report:latest (JSON)
+ *   CRO_REPORTS_BUCKET      - R2: reports/<start date>.json and .html
+ *   CRO_REPORT_WEBHOOK_URL  - Slack-compatible incoming webhook (secret)
+ *   CRO_REPORT_DAYS         - report length in days, default 7
+ * Uses the same AFFWP_PARENT_URL / AFFWP_PUBLIC_KEY / AFFWP_TOKEN as visit
+ * tracking. No ad data is available here, so spend-based metrics are 0.
+ *
+ * A busy week is ~100 visit pages of 500, so this needs the paid plan's
+ * subrequest allowance. If the page cap is hit the report is still stored,
+ * flagged as incomplete.
+ *
+ * Testing offline: `node scripts/affwp-stub.js` serves the local snapshot
+ * (or synthetic data) as the AffiliateWP API, then
+ *   npx wrangler dev --test-scheduled --var AFFWP_PARENT_URL:http://localhost:8788
+ *   curl "http://localhost:8787/__scheduled?cron=0+7+*+*+1"     # weekly report
+ *   curl "http://localhost:8787/__scheduled?cron=30+6+*+*+*"    # daily monitor
+ */
+
+import funnelMap from '../scripts/funnels.json';
+import rulesFile from '../scripts/rules.json';
+import { createApiClient, fetchNewerThan } from '../scripts/lib/affwp-api.js';
+import { buildReport } from '../scripts/lib/report.js';
+import { renderReport } from '../scripts/lib/render.js';
+import { parseFunnelMap } from '../scripts/lib/funnels.js';
+import { parseRules } from '../scripts/lib/rules.js';
+import { runMonitor, formatAlert } from '../scripts/lib/monitor.js';
+import { resolvePeriod, comparisonPeriod, ukIsoDate, parseAffwpDate } from '../scripts/lib/period.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Must match the daily entry in wrangler.jsonc "triggers"; any other cron
+// runs the weekly report.
+export const MONITOR_CRON = '30 6 * * *';
+
+// Page sizes match the CLI snapshot sync (scripts/lib/snapshot.js).
+const FETCH = {
+  visits: { endpoint: '/visits', batchSize: 500, maxBatches: 150 },
+  referrals: { endpoint: '/referrals', batchSize: 200, maxBatches: 50 },
+};
+
+/**
+ * scheduled() handler: build, store and announce the report.
+ */
+export async function runScheduledReport(env, scheduledTime = Date.now()) {
+  if (!hasApiConfig(env)) return null;
+
+  const days = parseInt(env.CRO_REPORT_DAYS || '7', 10);
+  const period = resolvePeriod({ to: ukIsoDate(scheduledTime - DAY_MS), days });
+  const { records, warnings } = await fetchRecords(env, period.start, period.end);
+
+  const report = buildReport({
+    visits: records.visits,
+    referrals: records.referrals,
+    startDate: period.start,
+    endDate: period.end,
+    days: period.days,
+    funnels: parseFunnelMap(funnelMap),
+    rules: parseRules(rulesFile),
+  });
+  if (warnings.length) report.warnings = warnings;
+
+  const key = ukIsoDate(period.start);
+  await storeReport(env, key, report);
+  await postSummary(env, report);
+  console.log('[CRO report] Report stored for', key, ...warnings.map(w => `WARNING: ${w}`));
+  return report;
+}
+
+/**
+ * Daily monitor: alert on yesterday's volumes. Returns the monitor result.
+ */
+export async function runScheduledMonitor(env, scheduledTime = Date.now()) {
+  if (!hasApiConfig(env)) return null;
+
+  const rules = parseRules(rulesFile);
+  const settings = rules.monitor || {};
+  const period = resolvePeriod({ to: ukIsoDate(scheduledTime - DAY_MS), days: 1 });
+  const history = comparisonPeriod({ ...period, days: settings.baseline_days || 7 }, 'previous');
+  const { records, warnings } = await fetchRecords(env, history.start, period.end);
+
+  const funnels = parseFunnelMap(funnelMap);
+  const result = runMonitor({ visits: records.visits, referrals: records.referrals, funnels, period, settings });
+  console.log('[CRO monitor]', result.days.join(', '), `${result.alerts.length} alert(s)`, ...warnings.map(w => `WARNING: ${w}`));
+
+  if (result.alerts.length && env.CRO_REPORT_WEBHOOK_URL) {
+    const labels = Object.fromEntries(funnels.map(f => [f.id, f.label]));
+    const text = [`CRO monitor: ${result.alerts.length} alert(s) for ${result.days.join(', ')}`]
+      .concat(warnings.map(w => `WARNING: ${w}`), result.alerts.map(a => formatAlert(a, labels)))
+      .join('\n');
+    await postWebhook(env, text);
+  }
+  return result;
+}
+
+function hasApiConfig(env) {
+  if (env.AFFWP_PARENT_URL && env.AFFWP_PUBLIC_KEY && env.AFFWP_TOKEN) return true;
+  console.error('[CRO report] Missing AffiliateWP environment variables - skipping');
+  return false;
+}
+
+// Visits and referrals dated in [start, end), newest first
+async function fetchRecords(env, start, end) {
+  const apiFetch = createApiClient({ parentUrl: env.AFFWP_PARENT_URL, publicKey: env.AFFWP_PUBLIC_KEY, token: env.AFFWP_TOKEN });
+  const warnings = [];
+  const records = {};
+  for (const [kind, config] of Object.entries(FETCH)) {
+    const result = await fetchNewerThan(apiFetch, config.endpoint, { ...config, stopBefore: start, label: kind });
+    if (result.hitLimit) warnings.push(`${kind} stopped after ${result.batches} pages - figures are incomplete`);
+    records[kind] = result.records.filter(r => parseAffwpDate(r.date) < end);
+  }
+  return { records, warnings };
+}
+
+async function storeReport(env, key, report) {
+  const json = renderReport(report, 'json');
+
+  if (env.CRO_REPORTS) {
+    try {
+      await env.CRO_REPORTS.put(`report:${key}`, json);
+      await env.CRO_REPORTS.put('report:latest', json);
+    } catch (err) {
+      console.error('[CRO report] Failed to store report in KV:', err.message);
+    }
+  }
+
+  if (env.CRO_REPORTS_BUCKET) {
+    try {
+      await env.CRO_REPORTS_BUCKET.put(`reports/${key}.json`, json, { httpMetadata: { contentType: 'application/json' } });
+      await env.CRO_REPORTS_BUCKET.put(`reports/${key}.html`, renderReport(report, 'html'), { httpMetadata: { contentType: 'text/html; charset=utf-8' } });
+    } catch (err) {
+      console.error('[CRO report] Failed to store report in R2:', err.message);
+    }
+  }
+}
+
+async function postSummary(env, report) {
+  if (!env.CRO_REPORT_WEBHOOK_URL) return;
+  const warnings = (report.warnings || []).map(w => `WARNING: ${w}\n`).join('');
+  await postWebhook(env, warnings + renderReport(report, 'summary'));
+}
+
+async function postWebhook(env, text) {
+  try {
+    const resp = await fetch(env.CRO_REPORT_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text }),
+    });
+    if (!resp.ok) {
+      console.error('[CRO report] Webhook error:', resp.status, (await resp.text()).substring(0, 300));
+    }
+  } catch (err) {
+    console.error('[CRO report] Webhook request failed:', err.message);
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * POST /api/track — one browser event, fanned out server-side.
+ *
+ * Accepts the same envelope as /api/fb-event (see capiEventFromEnvelope
+ * in worker/fb-capi.js):
+ *   { event_name, event_id, event_time, event_source_url, custom_data,
+ *     user_data, user_agent, fbc, fbp, funnel }
+ * and sends it to every enabled destination:
+ *   meta - Conversions API, same event_id as the Pixel call (deduplicated)
+ *   ga4  - Measurement Protocol, event name mapped to GA4's (Lead ->
+ *          generate_lead, ...), client id from the _ga cookie
+ *
+ * TRACK_DESTINATIONS (vars, object or JSON string) enables each
+ * destination and optionally limits it to some events:
+ *   { "meta": { "enabled": true },
+ *     "ga4":  { "enabled": true, "events": ["InitiateCheckout"] } }
+ * A destination missing from the config uses DEFAULT_DESTINATIONS. GA4 has
+ * no event_id deduplication, so it must not be sent events the page
+ * already sends through gtag (page_view comes from gtag's config call) or
+ * that /api/register sends itself (the Lead, worker/lead-events.js).
+ *
+ * Each destination also needs the visitor's consent (worker/consent.js):
+ * marketing for meta, analytics for ga4. Like /api/fb-event, only the
+ * landing pages' events, custom_data keys and origin are accepted
+ * (envelopeError and browserOriginError in worker/fb-capi.js).
+ *
+ * Response: { success, results: { meta, ga4 } }, each result one of
+ * "sent", "skipped" (disabled for this event), "no_consent" or an error
+ * code.
+ * 503 when every destination that applies is unconfigured, 502 when any
+ * of them failed. Upstream responses are only logged.
+ */
+
+import {
+  capiEventFromEnvelope,
+  sendCapiEvent,
+  envelopeError,
+  browserCustomData,
+  browserOriginError,
+  browserEventPreflight,
+  corsHeaders,
+} from './fb-capi.js';
+import { sendGa4Event } from './ga4-mp.js';
+import { VISITOR_COOKIE } from './visitor-id.js';
+import { resolveConsent } from './consent.js';
+
+export const DEFAULT_DESTINATIONS = {
+  meta: { enabled: true },
+  ga4: { enabled: true, events: ['InitiateCheckout'] },
+};
+
+// GA4 recommended event for each of the BROWSER_EVENTS (worker/fb-capi.js)
+// — envelopeError() has already refused any other name.
+const GA4_EVENT_NAMES = {
+  PageView: 'page_view',
+  ViewContent: 'view_item',
+  InitiateCheckout: 'begin_checkout',
+  Lead: 'generate_lead',
+};
+
+const JSON_HEADERS = {
+  'Content-Type': 'application/json; charset=UTF-8',
+  'Cache-Control': 'no-store',
+};
+
+// Consent category each destination needs
+const CONSENT = { meta: 'marketing', ga4: 'analytics' };
+
+const DESTINATIONS = {
+  async meta(request, env, cookies, body) {
+    const { funnel, event } = await capiEventFromEnvelope(request, body);
+    return sendCapiEvent(env, funnel, event);
+  },
+
+  async ga4(request, env, cookies, body, consent) {
+    const params = { event_id: body.event_id || '' };
+    if (body.event_source_url) params.page_location = String(body.event_source_url);
+    // GA4 params are flat: keep string / number / boolean values only
+    Object.assign(params, browserCustomData(body.custom_data));
+    return sendGa4Event(env, {
+      cookies,
+      fallbackClientId: cookies[VISITOR_COOKIE],
+      events: [{ name: GA4_EVENT_NAMES[body.event_name || 'PageView'], params }],
+      adConsent: consent.marketing,
+    });
+  },
+};
+
+/**
+ * Handle POST /api/track.
+ */
+export async function handleTrack(request, env, cookies) {
+  const originError = browserOriginError(request);
+  if (originError) return jsonResponse(request, { success: false, ...originError }, 403);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse(request, { success: false, code: 'invalid_json', error: 'Request body must be JSON' }, 400);
+  }
+  const invalid = envelopeError(body);
+  if (invalid) return jsonResponse(request, { success: false, ...invalid }, 400);
+
+  const config = destinationConfig(env);
+  const consent = resolveConsent(request);
+  const eventName = body.event_name || 'PageView';
+  const results = {};
+  await Promise.all(Object.entries(DESTINATIONS).map(async ([name, send]) => {
+    const dest = config[name];
+    if (!dest.enabled || (Array.isArray(dest.events) && !dest.events.includes(eventName))) {
+      results[name] = 'skipped';
+      return;
+    }
+    if (!consent[CONSENT[name]]) {
+      results[name] = 'no_consent';
+      return;
+    }
+    try {
+      const result = await send(request, env, cookies, body, consent);
+      results[name] = result.ok ? 'sent' : result.code;
+    } catch (err) {
+      console.error(`[Track] ${name} failed:`, err.message);
+      results[name] = 'failed';
+    }
+  }));
+
+  const attempted = Object.values(results).filter(r => r !== 'skipped' && r !== 'no_consent');
+  const status = attempted.some(r => r !== 'sent' && r !== 'not_configured') ? 502
+    : attempted.length && attempted.every(r => r === 'not_configured') ? 503
+    : 200;
+  return jsonResponse(request, { success: status === 200, results }, status);
+}
+
+/**
+ * CORS preflight for /api/track.
+ */
+export function trackPreflight(request) {
+  return browserEventPreflight(request);
+}
+
+// TRACK_DESTINATIONS may arrive as an object (wrangler vars) or a JSON string (dashboard)
+function destinationConfig(env) {
+  let config = env.TRACK_DESTINATIONS;
+  if (typeof config === 'string') {
+    try {
+      config = JSON.parse(config);
+    } catch {
+      console.error('[Track] TRACK_DESTINATIONS is not valid JSON - using defaults');
+      config = null;
+    }
+  }
+  const merged = {};
+  for (const name of Object.keys(DESTINATIONS)) {
+    merged[name] = (config && config[name]) || DEFAULT_DESTINATIONS[name];
+  }
+  return merged;
+}
+
+function jsonResponse(request, body, status) {
+  return new Response(JSON.stringify(body), { status, headers: { ...JSON_HEADERS, ...corsHeaders(request) } });
+}
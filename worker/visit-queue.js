@@ -0,0 +1,141 @@
+/**
+ * Durable, non-blocking AffiliateWP visit creation.
+ *
+ * The landing page is returned immediately; the visit is created in the
+ * background via ctx.waitUntil(). If learn.urbansketch.com is slow or down,
+ * the visit is pushed onto a Cloudflare Queue and retried with backoff
+ * instead of being lost.
+ *
+ * Only retryable failures are queued (network errors, 5xx, 429 — see
+ * createAffiliateVisit); a permanent failure or an ambiguous success is
+ * logged and dropped, so a retry can never create a duplicate visit.
+ *
+ * Because the page has already been sent by the time the visit id exists,
+ * the id is written back in two steps:
+ *   1. The landing response sets an HttpOnly affwp_pending_visit cookie
+ *      holding a random pending id, and the visit id is stored in KV
+ *      under that pending id once AffiliateWP returns it.
+ *   2. An injected beacon polls GET /api/visit-id, which swaps the pending
+ *      cookie for the real affwp_visit_id cookie.
+ *
+ * Bindings (wrangler.jsonc):
+ *   AFFWP_VISITS       - KV namespace holding pending id -> visit id
+ *   AFFWP_VISIT_QUEUE  - Queue producer for failed visits
+ * Both are optional. Without AFFWP_VISITS there is no write-back path, so
+ * the landing page waits for the visit and sets affwp_visit_id itself (see
+ * trackAffiliateVisit in _worker.js); without AFFWP_VISIT_QUEUE failures
+ * are only logged.
+ * `wrangler dev` runs both locally (Miniflare), so the retry path can be
+ * exercised by pointing AFFWP_PARENT_URL at an unreachable host.
+ */
+
+import { createAffiliateVisit } from './affiliatewp.js';
+
+export const PENDING_COOKIE = 'affwp_pending_visit';
+
+// How long a pending id (cookie + KV entry) stays resolvable.
+const PENDING_TTL_SECONDS = 24 * 3600;
+
+// Queue retry backoff: 30s, 60s, 120s ... capped at 15 minutes.
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 15 * 60;
+
+/**
+ * Whether the write-back path (pending cookie + KV) is available.
+ */
+export function canTrackPendingVisits(env) {
+  return Boolean(env.AFFWP_VISITS);
+}
+
+/**
+ * Create the visit now; on a retryable failure queue it for retry.
+ * Returns the visit id, or null if it was queued (or lost).
+ */
+export async function recordVisit(env, visit, pendingId) {
+  const { visitId, retryable } = await createAffiliateVisit(env, visit);
+  if (visitId) {
+    await storeVisitId(env, pendingId, visitId);
+    return visitId;
+  }
+  if (!retryable) {
+    console.error('[AffWP] Visit not created and not retryable:', visit.landingUrl, `affiliate=${visit.affiliateId}`);
+    return null;
+  }
+
+  if (env.AFFWP_VISIT_QUEUE) {
+    try {
+      await env.AFFWP_VISIT_QUEUE.send({ visit, pendingId });
+      console.log('[AffWP] Visit queued for retry:', visit.landingUrl, `affiliate=${visit.affiliateId}`);
+    } catch (err) {
+      console.error('[AffWP] Failed to queue visit for retry:', err.message);
+    }
+  } else {
+    console.error('[AffWP] Visit lost - no AFFWP_VISIT_QUEUE binding to retry from');
+  }
+
+  return null;
+}
+
+/**
+ * Queue consumer: retry visits that failed on the request path.
+ */
+export async function handleVisitQueue(batch, env) {
+  for (const message of batch.messages) {
+    const { visit, pendingId } = message.body || {};
+    if (!visit) {
+      message.ack();
+      continue;
+    }
+
+    const { visitId, retryable } = await createAffiliateVisit(env, visit);
+    if (visitId) {
+      await storeVisitId(env, pendingId, visitId);
+      console.log('[AffWP] Queued visit created on attempt', message.attempts, `visit_id=${visitId}`);
+      message.ack();
+    } else if (!retryable) {
+      console.error('[AffWP] Queued visit dropped on attempt', message.attempts, '- failure is not retryable');
+      message.ack();
+    } else {
+      const delaySeconds = Math.min(RETRY_BASE_SECONDS * 2 ** (message.attempts - 1), RETRY_MAX_SECONDS);
+      message.retry({ delaySeconds });
+    }
+  }
+}
+
+/**
+ * Look up the visit id for a pending id. Returns the id or null if not ready yet.
+ */
+export async function resolvePendingVisit(env, pendingId) {
+  if (!pendingId || !env.AFFWP_VISITS) return null;
+  return env.AFFWP_VISITS.get(`pending:${pendingId}`);
+}
+
+/**
+ * Set-Cookie value for a new pending id, or for clearing it once resolved.
+ */
+export function pendingVisitCookie(pendingId) {
+  if (!pendingId) {
+    return `${PENDING_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`;
+  }
+  return `${PENDING_COOKIE}=${pendingId}; Path=/; Max-Age=${PENDING_TTL_SECONDS}; HttpOnly; SameSite=Lax`;
+}
+
+/**
+ * Inline <script> that polls /api/visit-id until the visit id cookie is set.
+ * Spaced out to cover a first retry; later page views inject it again.
+ */
+export function pendingVisitScript() {
+  return '<script>(function(){var d=[2000,10000,45000];function p(i){if(i>=d.length)return;'
+    + "setTimeout(function(){fetch('/api/visit-id',{credentials:'same-origin'})"
+    + '.then(function(r){return r.json()}).then(function(b){if(b&&b.pending)p(i+1)})'
+    + '.catch(function(){})},d[i])}p(0)})();</script>';
+}
+
+async function storeVisitId(env, pendingId, visitId) {
+  if (!pendingId || !env.AFFWP_VISITS) return;
+  try {
+    await env.AFFWP_VISITS.put(`pending:${pendingId}`, String(visitId), { expirationTtl: PENDING_TTL_SECONDS });
+  } catch (err) {
+    console.error('[AffWP] Failed to store visit id:', err.message);
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Signed pending-visit tokens for deferred (JS-confirmed) affiliate visits.
+ *
+ * In AFFWP_VISIT_MODE=deferred the worker does not call AffiliateWP on the
+ * HTML fetch. It signs the visit details into a short-lived token, injects
+ * it into the page, and the page's JavaScript beacons it back to /api/visit.
+ * Bots follow HTTP but not JavaScript, so only real browsers ever redeem a
+ * token — the same reason A/B routing is client-side.
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+ * Payload: { a: affiliateId, c: campaign, u: landingUrl, r: referrer, iat: epochSeconds, jti: id }
+ *
+ * A token is good for one visit: claimVisitToken() records its jti until the
+ * token expires (AFFWP_VISITS KV when bound, else this colo's Cache API) and
+ * refuses it after that, so a token copied out of a page can't be replayed.
+ */
+
+// How long a page has to beacon back before the token is refused.
+const TOKEN_TTL_SECONDS = 30 * 60;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Sign visit details into a pending-visit token. Returns null if no secret is configured.
+ */
+export async function signVisitToken(secret, { affiliateId, campaign, landingUrl, referrer }) {
+  if (!secret) return null;
+
+  const payload = {
+    a: String(affiliateId),
+    c: campaign || '',
+    u: landingUrl,
+    r: referrer || '',
+    iat: Math.floor(Date.now() / 1000),
+    jti: crypto.randomUUID(),
+  };
+
+  const body = base64UrlEncode(encoder.encode(JSON.stringify(payload)));
+  const signature = await hmac(secret, body);
+  return `${body}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Verify a pending-visit token.
+ * Returns { affiliateId, campaign, landingUrl, referrer, jti, expiresIn } or
+ * null if the token is malformed, tampered with, or older than
+ * TOKEN_TTL_SECONDS. Pass the result to claimVisitToken() before using it.
+ */
+export async function verifyVisitToken(secret, token) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+
+  let signature;
+  try {
+    signature = base64UrlDecode(sig);
+  } catch {
+    return null;
+  }
+
+  const key = await importKey(secret);
+  const valid = await crypto.subtle.verify('HMAC', key, signature, encoder.encode(body));
+  if (!valid) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(decoder.decode(base64UrlDecode(body)));
+  } catch {
+    return null;
+  }
+
+  const age = Math.floor(Date.now() / 1000) - (payload.iat || 0);
+  if (age < 0 || age > TOKEN_TTL_SECONDS) return null;
+  if (!payload.a || !payload.u || !payload.jti) return null;
+
+  return {
+    affiliateId: payload.a,
+    campaign: payload.c || '',
+    landingUrl: payload.u,
+    referrer: payload.r || '',
+    jti: String(payload.jti),
+    expiresIn: TOKEN_TTL_SECONDS - age,
+  };
+}
+
+/**
+ * Mark a verified token as used. Returns false if its jti was already
+ * claimed (a replay). Two simultaneous requests can both get through the
+ * check — it stops reuse, not a race.
+ */
+export async function claimVisitToken(env, pending) {
+  // KV won't store anything for less than 60 seconds
+  const ttl = Math.max(60, pending.expiresIn);
+  try {
+    if (env.AFFWP_VISITS) {
+      const key = `token:${pending.jti}`;
+      if (await env.AFFWP_VISITS.get(key)) return false;
+      await env.AFFWP_VISITS.put(key, '1', { expirationTtl: ttl });
+      return true;
+    }
+    const cache = caches.default;
+    const key = new Request(`https://visit-token.invalid/${encodeURIComponent(pending.jti)}`);
+    if (await cache.match(key)) return false;
+    await cache.put(key, new Response('1', { headers: { 'Cache-Control': `max-age=${ttl}` } }));
+    return true;
+  } catch (err) {
+    // Don't lose real visits because the replay store is down
+    console.error('[AffWP] Could not record visit token:', err.message);
+    return true;
+  }
+}
+
+/**
+ * Inline <script> that beacons the token back to /api/visit.
+ * keepalive lets the request outlive a JS router's immediate redirect.
+ * A prerendered page runs its scripts before anyone sees it, so the beacon
+ * waits for the page to be activated.
+ */
+export function visitBeaconScript(token) {
+  return `<script>(function(){function send(){try{fetch('/api/visit',{method:'POST',credentials:'same-origin',keepalive:true,`
+    + `headers:{'Content-Type':'application/json'},body:JSON.stringify({token:${JSON.stringify(token)}})}).catch(function(){})}catch(e){}}`
+    + `if(document.prerendering){document.addEventListener('prerenderingchange',send,{once:true})}else{send()}})();</script>`;
+}
+
+// ─────────────────────────────────────────────────────────────
+
+async function importKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+async function hmac(secret, data) {
+  const key = await importKey(secret);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(data)));
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+  const padded = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
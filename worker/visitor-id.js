@@ -0,0 +1,47 @@
+/**
+ * Stable first-party visitor id.
+ *
+ * Issued once by the worker as a server-set cookie (vl_vid). Server-set
+ * first-party cookies survive Safari ITP's 7-day cap on script-written
+ * cookies, so the id outlives the us_*_variant assignment cookies.
+ *
+ * The cookie itself is HttpOnly — page scripts get the id from
+ * window.VL_VISITOR_ID, which the worker injects at the top of <head>.
+ * shared/ab-router.js hashes it (salted with the experiment key) so a
+ * returning visitor lands in the same arm even when the variant cookie
+ * has been trimmed.
+ */
+
+export const VISITOR_COOKIE = 'vl_vid';
+
+// Same horizon as the affiliate cookies (browsers cap at 400 days anyway).
+const VISITOR_COOKIE_DAYS = 400;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Read the visitor id from the request cookies, or mint a new one.
+ * Returns { id, isNew }.
+ */
+export function resolveVisitorId(cookies) {
+  const existing = cookies[VISITOR_COOKIE];
+  if (existing && UUID_PATTERN.test(existing)) {
+    return { id: existing.toLowerCase(), isNew: false };
+  }
+  return { id: crypto.randomUUID(), isNew: true };
+}
+
+/**
+ * Set-Cookie value for a newly issued visitor id.
+ */
+export function visitorIdCookie(id) {
+  return `${VISITOR_COOKIE}=${id}; Path=/; Max-Age=${VISITOR_COOKIE_DAYS * 86400}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * Inline <script> exposing the id to page scripts. Prepended to <head> so
+ * it runs before any router or tracking script.
+ */
+export function visitorIdScript(id) {
+  return `<script>window.VL_VISITOR_ID=${JSON.stringify(id)};</script>`;
+}
@@ -243,12 +243,18 @@ function vl_funnel_handle_register( WP_REST_Request $request ) {
 	// 8. AffiliateWP referral crediting. Cross-origin landing page (go.urbansketchcourse.com)
 	//    can't send learn.urbansketch.com cookies, so we accept the affiliate_id as a POST field.
 	//    Fall back to the cookie if present (for same-origin future use).
-	//    Further fallback: if a funnel_tag is present we're on a paid funnel, so default to
-	//    affiliate_id=36 (FBAds) so a missing cookie/param never silently drops attribution.
+	//    There is no hard-coded default here: when the landing page had no affiliate, the
+	//    worker picks one from its AFFILIATE_FALLBACK rules (referrer, click ids, utm_source,
+	//    funnel) and posts it with affiliate_rule naming the rule.
 	$funnel_tag = sanitize_key( (string) $request->get_param( 'funnel_tag' ) );
+	// A/B arm + AffiliateWP visit from the landing page, so the CRO report
+	// (scripts/pull-affwp-data.js --experiment) can join referrals to variants.
+	$variant  = sanitize_key( (string) $request->get_param( 'variant' ) );
+	$visit_id = absint( $request->get_param( 'visit_id' ) );
+	$affiliate_rule = sanitize_key( (string) $request->get_param( 'affiliate_rule' ) );
 
 	$affwp_raw_param = $request->get_param( 'affiliate_id' );
-	error_log( '[vl-funnel] register: email=' . $email . ' funnel_tag=' . $funnel_tag . ' affiliate_id_param=' . var_export( $affwp_raw_param, true ) . ' cookie_affwp_ref=' . ( isset( $_COOKIE['affwp_ref'] ) ? $_COOKIE['affwp_ref'] : 'none' ) );
+	error_log( '[vl-funnel] register: email=' . $email . ' funnel_tag=' . $funnel_tag . ' affiliate_id_param=' . var_export( $affwp_raw_param, true ) . ' affiliate_rule=' . ( $affiliate_rule ? $affiliate_rule : 'none' ) . ' cookie_affwp_ref=' . ( isset( $_COOKIE['affwp_ref'] ) ? $_COOKIE['affwp_ref'] : 'none' ) );
 
 	if ( function_exists( 'affiliate_wp' ) ) {
 		$affiliate_id = absint( $affwp_raw_param );
@@ -256,26 +262,25 @@ function vl_funnel_handle_register( WP_REST_Request $request ) {
 			$affiliate_id = absint( $_COOKIE['affwp_ref'] );
 			error_log( '[vl-funnel] using cookie affwp_ref affiliate_id=' . $affiliate_id );
 		}
-		// Fallback: any tagged funnel submission on go.urbansketchcourse.com came through paid,
-		// so credit FBAds (affiliate_id=36) even when the cookie/param made it through.
-		if ( ! $affiliate_id && $funnel_tag ) {
-			$affiliate_id = 36;
-			error_log( '[vl-funnel] FALLBACK: no affiliate_id, using default 36 for funnel_tag=' . $funnel_tag );
-		}
 
 		if ( ! $affiliate_id ) {
-			error_log( '[vl-funnel] SKIP referral: no affiliate_id resolvable (email=' . $email . ')' );
+			error_log( '[vl-funnel] SKIP referral: no affiliate_id resolvable and no fallback rule matched (email=' . $email . ', funnel_tag=' . $funnel_tag . ')' );
 		} elseif ( ! affiliate_wp()->affiliates->get_affiliate( $affiliate_id ) ) {
 			error_log( '[vl-funnel] SKIP referral: affiliate_id=' . $affiliate_id . ' not found in AffiliateWP (email=' . $email . ')' );
 		} else {
-			$referral_result = affiliate_wp()->referrals->add( array(
+			$referral_args = array(
 				'affiliate_id' => $affiliate_id,
 				'amount'       => 0,
 				'description'  => 'SMM Free Course Signup: ' . $email,
 				'reference'    => $user_id,
 				'context'      => 'vl_funnel_registration',
 				'status'       => 'unpaid',
-			) );
+				'custom'       => http_build_query( array( 'funnel_tag' => $funnel_tag, 'variant' => $variant, 'affiliate_rule' => $affiliate_rule ) ),
+			);
+			if ( $visit_id ) {
+				$referral_args['visit_id'] = $visit_id;
+			}
+			$referral_result = affiliate_wp()->referrals->add( $referral_args );
 			error_log( '[vl-funnel] referrals->add returned: ' . var_export( $referral_result, true ) . ' (email=' . $email . ', affiliate_id=' . $affiliate_id . ')' );
 		}
 	} else {
@@ -286,6 +291,23 @@ function vl_funnel_handle_register( WP_REST_Request $request ) {
 	update_user_meta( $user_id, 'vl_funnel_source', $funnel_tag ? $funnel_tag : 'smm-free-course' );
 	update_user_meta( $user_id, 'vl_funnel_signup_at', current_time( 'mysql' ) );
 
+	// 9a. First/last-touch attribution from the landing page (shared/attribution.js):
+	//     UTMs, click ids, landing path and referrer, kept as one array.
+	$attribution = array();
+	foreach ( array(
+		'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'fbclid', 'gclid',
+		'landing_path', 'referrer', 'first_utm_source', 'first_utm_medium', 'first_utm_campaign',
+		'first_landing_path', 'first_referrer', 'first_seen', 'campaign',
+	) as $key ) {
+		$value = sanitize_text_field( (string) $request->get_param( $key ) );
+		if ( '' !== $value ) {
+			$attribution[ $key ] = substr( $value, 0, 200 );
+		}
+	}
+	if ( $attribution ) {
+		update_user_meta( $user_id, 'vl_funnel_attribution', $attribution );
+	}
+
 	// 9b. Stash the plaintext password so the [vl_credentials] shortcode can show
 	//     it on the post-signup OTO page. Expires after 15 minutes (or immediately
 	//     on first display) so it's never readable again after the initial view.
@@ -309,10 +331,13 @@ function vl_funnel_handle_register( WP_REST_Request $request ) {
 	//     this host and was adding 10-30s to every signup waiting for SMTP timeout.
 	//     Kept the function definition below in case a future host restores wp_mail.
 
+	// user_id is the Conversions API external_id for the Lead event (hashed
+	// before it leaves Cloudflare — see worker/fb-capi.js).
 	return new WP_REST_Response( array(
 		'ok'        => true,
 		'existing'  => false,
 		'login_url' => esc_url_raw( $login_url ),
+		'user_id'   => (int) $user_id,
 	), 200 );
 }
 